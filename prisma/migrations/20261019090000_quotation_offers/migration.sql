@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "QuotationOfferStatus" AS ENUM ('ACTIVE', 'ACCEPTED', 'WITHDRAWN', 'SUPERSEDED');
+
+-- CreateEnum
+CREATE TYPE "OfferLineItemKind" AS ENUM ('SURGERY', 'ANAESTHESIA', 'HOSPITAL_STAY', 'HOTEL_NIGHT', 'TRANSFER', 'CONSULTATION', 'MEDICATION', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "offerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "QuotationOffer" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "status" "QuotationOfferStatus" NOT NULL DEFAULT 'ACTIVE',
+    "totalCents" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "validUntil" TIMESTAMP(3) NOT NULL,
+    "inclusions" TEXT[],
+    "exclusions" TEXT[],
+    "notes" TEXT,
+    "acceptedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "QuotationOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuotationOfferLineItem" (
+    "id" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL,
+    "kind" "OfferLineItemKind" NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "unitAmountCents" INTEGER NOT NULL,
+    "totalCents" INTEGER NOT NULL,
+
+    CONSTRAINT "QuotationOfferLineItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuotationOffer_quotationId_status_idx" ON "QuotationOffer"("quotationId", "status");
+
+-- CreateIndex
+CREATE INDEX "QuotationOfferLineItem_offerId_idx" ON "QuotationOfferLineItem"("offerId");
+
+-- CreateIndex
+CREATE INDEX "Payment_offerId_idx" ON "Payment"("offerId");
+
+-- AddForeignKey
+ALTER TABLE "QuotationOffer" ADD CONSTRAINT "QuotationOffer_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationOffer" ADD CONSTRAINT "QuotationOffer_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationOfferLineItem" ADD CONSTRAINT "QuotationOfferLineItem_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "QuotationOffer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "QuotationOffer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
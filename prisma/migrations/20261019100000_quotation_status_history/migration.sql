@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "QuotationStatusHistory" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "fromStatus" "QuotationStatus" NOT NULL,
+    "toStatus" "QuotationStatus" NOT NULL,
+    "actorId" TEXT,
+    "actorRole" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuotationStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuotationStatusHistory_quotationId_createdAt_idx" ON "QuotationStatusHistory"("quotationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "QuotationStatusHistory" ADD CONSTRAINT "QuotationStatusHistory_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationStatusHistory" ADD CONSTRAINT "QuotationStatusHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "QuotationRequest" ADD COLUMN     "slaBreachedAt" TIMESTAMP(3),
+ADD COLUMN     "slaWarnedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "QuotationSlaBreach" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "providerId" TEXT NOT NULL,
+    "slaDueAt" TIMESTAMP(3) NOT NULL,
+    "breachedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuotationSlaBreach_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuotationRequest_status_slaDueAt_idx" ON "QuotationRequest"("status", "slaDueAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuotationSlaBreach_quotationId_key" ON "QuotationSlaBreach"("quotationId");
+
+-- CreateIndex
+CREATE INDEX "QuotationSlaBreach_providerId_breachedAt_idx" ON "QuotationSlaBreach"("providerId", "breachedAt");
+
+-- AddForeignKey
+ALTER TABLE "QuotationSlaBreach" ADD CONSTRAINT "QuotationSlaBreach_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationSlaBreach" ADD CONSTRAINT "QuotationSlaBreach_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "ProviderProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
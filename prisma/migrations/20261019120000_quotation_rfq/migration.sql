@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "QuotationRequest" ADD COLUMN     "rfqId" TEXT;
+
+-- CreateTable
+CREATE TABLE "QuotationRfq" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "countryCode" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "notes" TEXT,
+    "slaHours" INTEGER NOT NULL DEFAULT 24,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuotationRfq_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuotationRfq_userId_idx" ON "QuotationRfq"("userId");
+
+-- CreateIndex
+CREATE INDEX "QuotationRequest_rfqId_idx" ON "QuotationRequest"("rfqId");
+
+-- AddForeignKey
+ALTER TABLE "QuotationRfq" ADD CONSTRAINT "QuotationRfq_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationRequest" ADD CONSTRAINT "QuotationRequest_rfqId_fkey" FOREIGN KEY ("rfqId") REFERENCES "QuotationRfq"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "TripPackageStatus" AS ENUM ('ACTIVE', 'CANCELLED');
+
+-- DropIndex
+DROP INDEX "Payout_paymentId_key";
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "tripPackageId" TEXT;
+
+-- CreateTable
+CREATE TABLE "TripPackage" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT,
+    "currency" TEXT NOT NULL,
+    "totalCents" INTEGER NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "status" "TripPackageStatus" NOT NULL DEFAULT 'ACTIVE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TripPackage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TripComponent" (
+    "id" TEXT NOT NULL,
+    "packageId" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL,
+    "providerId" TEXT NOT NULL,
+    "type" "ProviderType" NOT NULL,
+    "description" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "originalAmountCents" INTEGER NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "fxRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+
+    CONSTRAINT "TripComponent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TripPackage_userId_idx" ON "TripPackage"("userId");
+
+-- CreateIndex
+CREATE INDEX "TripComponent_packageId_idx" ON "TripComponent"("packageId");
+
+-- CreateIndex
+CREATE INDEX "TripComponent_quotationId_idx" ON "TripComponent"("quotationId");
+
+-- CreateIndex
+CREATE INDEX "TripComponent_providerId_idx" ON "TripComponent"("providerId");
+
+-- CreateIndex
+CREATE INDEX "Payment_tripPackageId_idx" ON "Payment"("tripPackageId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payout_paymentId_providerId_key" ON "Payout"("paymentId", "providerId");
+
+-- AddForeignKey
+ALTER TABLE "TripPackage" ADD CONSTRAINT "TripPackage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripComponent" ADD CONSTRAINT "TripComponent_packageId_fkey" FOREIGN KEY ("packageId") REFERENCES "TripPackage"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripComponent" ADD CONSTRAINT "TripComponent_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripComponent" ADD CONSTRAINT "TripComponent_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "QuotationOffer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripComponent" ADD CONSTRAINT "TripComponent_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "ProviderProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_tripPackageId_fkey" FOREIGN KEY ("tripPackageId") REFERENCES "TripPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
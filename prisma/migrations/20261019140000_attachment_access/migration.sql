@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "QuotationAttachment" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT,
+ADD COLUMN     "uploadedById" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "QuotationAttachment" ADD CONSTRAINT "QuotationAttachment_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "QuotationReadReceipt" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "lastReadAt" TIMESTAMP(3) NOT NULL,
+    "lastReadMessageId" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "QuotationReadReceipt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuotationReadReceipt_quotationId_userId_key" ON "QuotationReadReceipt"("quotationId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "QuotationReadReceipt" ADD CONSTRAINT "QuotationReadReceipt_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuotationReadReceipt" ADD CONSTRAINT "QuotationReadReceipt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Procedure" ADD COLUMN     "priceUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "ProcedurePriceHistory" (
+    "id" TEXT NOT NULL,
+    "procedureId" TEXT NOT NULL,
+    "priceMinUSD" INTEGER NOT NULL,
+    "priceMaxUSD" INTEGER NOT NULL,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcedurePriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcedurePriceHistory_procedureId_createdAt_idx" ON "ProcedurePriceHistory"("procedureId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ProcedurePriceHistory" ADD CONSTRAINT "ProcedurePriceHistory_procedureId_fkey" FOREIGN KEY ("procedureId") REFERENCES "Procedure"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProcedurePriceHistory" ADD CONSTRAINT "ProcedurePriceHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: current prices become the first history entry of each procedure.
+INSERT INTO "ProcedurePriceHistory" ("id", "procedureId", "priceMinUSD", "priceMaxUSD", "createdAt")
+SELECT 'pph_' || "id", "id", "priceMinUSD", "priceMaxUSD", "priceUpdatedAt" FROM "Procedure";
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "fxRate" DOUBLE PRECISION,
+ADD COLUMN     "fxRateLockId" TEXT,
+ADD COLUMN     "settlementAmountCents" INTEGER,
+ADD COLUMN     "settlementCurrency" TEXT;
+
+-- CreateTable
+CREATE TABLE "FxRateLock" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL,
+    "base" TEXT NOT NULL,
+    "quote" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "rateAsOf" TIMESTAMP(3) NOT NULL,
+    "baseAmountCents" INTEGER NOT NULL,
+    "quoteAmountCents" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FxRateLock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FxRateLock_userId_offerId_quote_idx" ON "FxRateLock"("userId", "offerId", "quote");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_fxRateLockId_fkey" FOREIGN KEY ("fxRateLockId") REFERENCES "FxRateLock"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FxRateLock" ADD CONSTRAINT "FxRateLock_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FxRateLock" ADD CONSTRAINT "FxRateLock_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FxRateLock" ADD CONSTRAINT "FxRateLock_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "QuotationOffer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
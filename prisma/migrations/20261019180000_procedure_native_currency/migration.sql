@@ -0,0 +1,20 @@
+-- AlterTable: existing prices were entered in USD, so they become the native price as-is.
+ALTER TABLE "Procedure" ADD COLUMN     "priceCurrency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN     "priceMax" INTEGER,
+ADD COLUMN     "priceMin" INTEGER,
+ADD COLUMN     "usdPricedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE "Procedure" SET "priceMin" = "priceMinUSD", "priceMax" = "priceMaxUSD";
+
+ALTER TABLE "Procedure" ALTER COLUMN "priceMin" SET NOT NULL,
+ALTER COLUMN "priceMax" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "ProcedurePriceHistory" ADD COLUMN     "priceCurrency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN     "priceMax" INTEGER,
+ADD COLUMN     "priceMin" INTEGER;
+
+UPDATE "ProcedurePriceHistory" SET "priceMin" = "priceMinUSD", "priceMax" = "priceMaxUSD";
+
+ALTER TABLE "ProcedurePriceHistory" ALTER COLUMN "priceMin" SET NOT NULL,
+ALTER COLUMN "priceMax" SET NOT NULL;
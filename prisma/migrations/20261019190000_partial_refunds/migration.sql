@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "RefundStatus" AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED', 'CANCELED');
+
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- AlterEnum
+ALTER TYPE "PayoutStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "refundedCents" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: payments refunded before this migration were always refunded in full.
+UPDATE "Payment" SET "refundedCents" = "amountCents" WHERE "status" = 'REFUNDED';
+
+-- CreateTable
+CREATE TABLE "Refund" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "reason" TEXT,
+    "status" "RefundStatus" NOT NULL DEFAULT 'PENDING',
+    "stripeRefundId" TEXT,
+    "failureReason" TEXT,
+    "payoutAdjustments" JSONB,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Refund_stripeRefundId_key" ON "Refund"("stripeRefundId");
+
+-- CreateIndex
+CREATE INDEX "Refund_paymentId_idx" ON "Refund"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "Refund" ADD CONSTRAINT "Refund_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Refund" ADD CONSTRAINT "Refund_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: one SUCCEEDED refund per already-refunded payment so the ledger adds up.
+INSERT INTO "Refund" ("id", "paymentId", "amountCents", "currency", "reason", "status", "createdAt", "updatedAt")
+SELECT 'rf_' || "id", "id", "amountCents", "currency", 'backfilled full refund', 'SUCCEEDED', "updatedAt", "updatedAt"
+FROM "Payment" WHERE "status" = 'REFUNDED';
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "PaymentStatusHistory" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "fromStatus" "PaymentStatus" NOT NULL,
+    "toStatus" "PaymentStatus" NOT NULL,
+    "actorId" TEXT,
+    "actorRole" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentStatusHistory_paymentId_createdAt_idx" ON "PaymentStatusHistory"("paymentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PaymentStatusHistory" ADD CONSTRAINT "PaymentStatusHistory_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentStatusHistory" ADD CONSTRAINT "PaymentStatusHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
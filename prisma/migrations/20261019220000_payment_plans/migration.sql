@@ -0,0 +1,78 @@
+-- CreateEnum
+CREATE TYPE "PaymentPlanStatus" AS ENUM ('ACTIVE', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "InstallmentStatus" AS ENUM ('SCHEDULED', 'PAID', 'OVERDUE', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN "installmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "PaymentPlan" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "totalCents" INTEGER NOT NULL,
+    "status" "PaymentPlanStatus" NOT NULL DEFAULT 'ACTIVE',
+    "cancelAfterOverdueDays" INTEGER NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "cancelReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentPlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaymentInstallment" (
+    "id" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "label" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "status" "InstallmentStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "paidAt" TIMESTAMP(3),
+    "reminderSentAt" TIMESTAMP(3),
+    "overdueAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentInstallment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_installmentId_idx" ON "Payment"("installmentId");
+
+-- CreateIndex
+CREATE INDEX "PaymentPlan_userId_idx" ON "PaymentPlan"("userId");
+
+-- CreateIndex
+CREATE INDEX "PaymentPlan_quotationId_idx" ON "PaymentPlan"("quotationId");
+
+-- CreateIndex
+CREATE INDEX "PaymentPlan_status_idx" ON "PaymentPlan"("status");
+
+-- CreateIndex
+CREATE INDEX "PaymentInstallment_status_dueAt_idx" ON "PaymentInstallment"("status", "dueAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentInstallment_planId_sequence_key" ON "PaymentInstallment"("planId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_installmentId_fkey" FOREIGN KEY ("installmentId") REFERENCES "PaymentInstallment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentPlan" ADD CONSTRAINT "PaymentPlan_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentPlan" ADD CONSTRAINT "PaymentPlan_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentPlan" ADD CONSTRAINT "PaymentPlan_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "QuotationOffer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentInstallment" ADD CONSTRAINT "PaymentInstallment_planId_fkey" FOREIGN KEY ("planId") REFERENCES "PaymentPlan"("id") ON DELETE CASCADE ON UPDATE CASCADE;
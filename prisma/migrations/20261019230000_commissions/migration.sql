@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN "feeCurrency" TEXT,
+ADD COLUMN "platformFeeCents" INTEGER,
+ADD COLUMN "processingFeeCents" INTEGER,
+ADD COLUMN "feeBreakdown" JSONB;
+
+-- AlterTable
+ALTER TABLE "Payout" ADD COLUMN "grossCents" INTEGER,
+ADD COLUMN "commissionCents" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "processingFeeCents" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CommissionRule" (
+    "id" TEXT NOT NULL,
+    "providerType" "ProviderType",
+    "providerId" TEXT,
+    "category" TEXT,
+    "percentBps" INTEGER NOT NULL DEFAULT 0,
+    "fixedCents" INTEGER NOT NULL DEFAULT 0,
+    "fixedCurrency" TEXT NOT NULL DEFAULT 'USD',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CommissionRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CommissionRule_active_idx" ON "CommissionRule"("active");
+
+-- AddForeignKey
+ALTER TABLE "CommissionRule" ADD CONSTRAINT "CommissionRule_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "ProviderProfile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommissionRule" ADD CONSTRAINT "CommissionRule_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing payouts were paid gross.
+UPDATE "Payout" SET "grossCents" = "amountCents";
@@ -0,0 +1,87 @@
+-- CreateEnum
+CREATE TYPE "LedgerAccountType" AS ENUM ('ASSET', 'LIABILITY', 'REVENUE', 'EXPENSE');
+
+-- CreateTable
+CREATE TABLE "LedgerAccount" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "LedgerAccountType" NOT NULL,
+    "currency" TEXT NOT NULL,
+    "providerId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "JournalEntry" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "description" TEXT,
+    "paymentId" TEXT,
+    "refundId" TEXT,
+    "payoutId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JournalEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "JournalLine" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "debitCents" INTEGER NOT NULL DEFAULT 0,
+    "creditCents" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "JournalLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LedgerAccount_providerId_idx" ON "LedgerAccount"("providerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerAccount_code_currency_key" ON "LedgerAccount"("code", "currency");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JournalEntry_key_key" ON "JournalEntry"("key");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_paymentId_idx" ON "JournalEntry"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_createdAt_idx" ON "JournalEntry"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_entryId_idx" ON "JournalLine"("entryId");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_accountId_idx" ON "JournalLine"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "LedgerAccount" ADD CONSTRAINT "LedgerAccount_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "ProviderProfile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "JournalEntry"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "LedgerAccount"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Lines never carry both sides or negative amounts.
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_one_side_check" CHECK ("debitCents" >= 0 AND "creditCents" >= 0 AND ("debitCents" = 0 OR "creditCents" = 0));
+
+-- Journal entries and lines are append-only.
+CREATE FUNCTION "ledger_immutable"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger journal rows are immutable (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "JournalEntry_immutable" BEFORE UPDATE OR DELETE ON "JournalEntry"
+  FOR EACH ROW EXECUTE FUNCTION "ledger_immutable"();
+
+CREATE TRIGGER "JournalLine_immutable" BEFORE UPDATE OR DELETE ON "JournalLine"
+  FOR EACH ROW EXECUTE FUNCTION "ledger_immutable"();
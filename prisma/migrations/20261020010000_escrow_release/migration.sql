@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "patientConfirmedAt" TIMESTAMP(3),
+ADD COLUMN     "releaseFlaggedAt" TIMESTAMP(3),
+ADD COLUMN     "releaseFlagReason" TEXT,
+ADD COLUMN     "releaseReminderSentAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "EscrowReleasePolicy" (
+    "id" TEXT NOT NULL,
+    "providerType" "ProviderType" NOT NULL,
+    "autoRelease" BOOLEAN NOT NULL DEFAULT false,
+    "holdDays" INTEGER NOT NULL DEFAULT 0,
+    "reminderHours" INTEGER NOT NULL DEFAULT 48,
+    "allowEarlyConfirmation" BOOLEAN NOT NULL DEFAULT true,
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EscrowReleasePolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_status_providerReleaseEligibleAt_idx" ON "Payment"("status", "providerReleaseEligibleAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EscrowReleasePolicy_providerType_key" ON "EscrowReleasePolicy"("providerType");
+
+-- AddForeignKey
+ALTER TABLE "EscrowReleasePolicy" ADD CONSTRAINT "EscrowReleasePolicy_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,101 @@
+-- CreateEnum
+CREATE TYPE "DisputeSource" AS ENUM ('PATIENT', 'STRIPE');
+
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('OPEN', 'UNDER_REVIEW', 'RESOLVED', 'WITHDRAWN');
+
+-- CreateEnum
+CREATE TYPE "DisputeResolution" AS ENUM ('REFUND', 'PARTIAL_REFUND', 'RELEASE', 'SPLIT', 'NO_ACTION', 'CHARGEBACK_WON', 'CHARGEBACK_LOST');
+
+-- CreateTable
+CREATE TABLE "Dispute" (
+    "id" TEXT NOT NULL,
+    "source" "DisputeSource" NOT NULL,
+    "status" "DisputeStatus" NOT NULL DEFAULT 'OPEN',
+    "paymentId" TEXT,
+    "quotationId" TEXT,
+    "openedById" TEXT,
+    "reason" TEXT NOT NULL,
+    "description" TEXT,
+    "stripeDisputeId" TEXT,
+    "stripeStatus" TEXT,
+    "amountCents" INTEGER,
+    "currency" TEXT,
+    "evidenceDueBy" TIMESTAMP(3),
+    "resolution" "DisputeResolution",
+    "resolutionNote" TEXT,
+    "refundId" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Dispute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisputeMessage" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "senderId" TEXT,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DisputeMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisputeAttachment" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "uploadedById" TEXT,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "sizeBytes" INTEGER NOT NULL,
+    "storagePath" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DisputeAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Dispute_stripeDisputeId_key" ON "Dispute"("stripeDisputeId");
+
+-- CreateIndex
+CREATE INDEX "Dispute_paymentId_idx" ON "Dispute"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Dispute_quotationId_idx" ON "Dispute"("quotationId");
+
+-- CreateIndex
+CREATE INDEX "Dispute_status_idx" ON "Dispute"("status");
+
+-- CreateIndex
+CREATE INDEX "DisputeMessage_disputeId_idx" ON "DisputeMessage"("disputeId");
+
+-- CreateIndex
+CREATE INDEX "DisputeAttachment_disputeId_idx" ON "DisputeAttachment"("disputeId");
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "QuotationRequest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeMessage" ADD CONSTRAINT "DisputeMessage_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "Dispute"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeMessage" ADD CONSTRAINT "DisputeMessage_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeAttachment" ADD CONSTRAINT "DisputeAttachment_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "Dispute"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeAttachment" ADD CONSTRAINT "DisputeAttachment_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "authorizedAt" TIMESTAMP(3),
+ADD COLUMN     "authorizationExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "authorizationWarnedAt" TIMESTAMP(3),
+ADD COLUMN     "authorizationExpiredAt" TIMESTAMP(3),
+ADD COLUMN     "reauthorizationRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "reauthPaymentIntentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Payment_status_authorizationExpiresAt_idx" ON "Payment"("status", "authorizationExpiresAt");
+
+-- Backfill: authorizations open at deploy time expire at the default validity (168 hours,
+-- AUTHORIZATION_VALIDITY_HOURS) counted from when the payment was created.
+UPDATE "Payment"
+SET "authorizedAt" = "createdAt",
+    "authorizationExpiresAt" = "createdAt" + INTERVAL '168 hours'
+WHERE "status" = 'AUTHORIZED' AND "authorizationExpiresAt" IS NULL;
@@ -60,6 +60,9 @@ async function main() {
         providerId: providerProfile.id,
         name: 'Hair Transplant (FUE)',
         category: 'Hair',
+        priceMin: 1500,
+        priceMax: 2500,
+        priceCurrency: 'USD',
         priceMinUSD: 1500,
         priceMaxUSD: 2500,
         description: 'FUE hair transplant package estimate. Final price after review.'
@@ -68,6 +71,9 @@ async function main() {
         providerId: providerProfile.id,
         name: 'Rhinoplasty',
         category: 'Cosmetic Surgery',
+        priceMin: 2200,
+        priceMax: 3800,
+        priceCurrency: 'USD',
         priceMinUSD: 2200,
         priceMaxUSD: 3800,
         description: 'Nose reshaping. Final price depends on complexity.'
@@ -0,0 +1,29 @@
+import express from 'express';
+
+// Express 4 ignores the promise an async handler returns, so a rejection would be
+// unhandled (and end the process). These forward it to the error middleware instead.
+export function catchAsync(fn) {
+  return (req, res, next) => {
+    const out = fn(req, res, next);
+    if (out && typeof out.catch === 'function') out.catch(next);
+  };
+}
+
+// express.Router() whose route handlers and middleware may be async.
+export function asyncRouter(options) {
+  const router = express.Router(options);
+  for (const method of ['get', 'post', 'put', 'patch', 'delete', 'all', 'use']) {
+    const register = router[method].bind(router);
+    // Error handlers (4 arguments) are passed through unchanged.
+    router[method] = (...args) => register(...args.map((a) => (typeof a === 'function' && a.length < 4 ? catchAsync(a) : a)));
+  }
+  return router;
+}
+
+// Last middleware: unexpected errors become a JSON 500 (client errors keep their status).
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(`[error] ${req.method} ${req.originalUrl.split('?')[0]}`, err);
+  return res.status(status).json({ error: status >= 500 ? 'internal_error' : err.type || 'bad_request' });
+}
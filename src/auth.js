@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { config } from './config.js';
 
 export function authRequired(req, res, next) {
@@ -13,6 +14,40 @@ export function authRequired(req, res, next) {
   }
 }
 
+// SSE streams: browsers' EventSource cannot set headers, so it passes ?ticket=<stream ticket>
+// instead. Tickets are short-lived, single-use and bound to one stream URL, so nothing
+// reusable ends up in URLs or access logs. Used ticket ids are kept until they expire.
+const usedStreamTickets = new Map();
+
+export function signStreamTicket(user, streamPath) {
+  return jwt.sign(
+    { sub: user.sub, role: user.role, purpose: 'stream', path: streamPath, jti: crypto.randomUUID() },
+    config.jwtSecret,
+    { expiresIn: config.streamTicketTtlSeconds }
+  );
+}
+
+// Same as authRequired but also accepts a stream ticket for this URL.
+export function authRequiredOrStreamTicket(req, res, next) {
+  if (req.headers.authorization || typeof req.query.ticket !== 'string') return authRequired(req, res, next);
+
+  let ticket;
+  try {
+    ticket = jwt.verify(req.query.ticket, config.jwtSecret);
+  } catch (e) {
+    return res.status(401).json({ error: 'invalid_ticket' });
+  }
+  if (ticket.purpose !== 'stream' || ticket.path !== req.baseUrl + req.path) return res.status(401).json({ error: 'invalid_ticket' });
+
+  const now = Date.now();
+  for (const [jti, exp] of usedStreamTickets) if (exp <= now) usedStreamTickets.delete(jti);
+  if (usedStreamTickets.has(ticket.jti)) return res.status(401).json({ error: 'ticket_used' });
+  usedStreamTickets.set(ticket.jti, ticket.exp * 1000);
+
+  req.user = { sub: ticket.sub, role: ticket.role };
+  return next();
+}
+
 export function requireRole(...roles) {
   return (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: 'missing_token' });
@@ -1,11 +1,22 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Upper-cased enum setting; unknown values stop the app at startup instead of being ignored.
+function oneOf(name, allowed, fallback) {
+  const value = (process.env[name] || fallback).toUpperCase();
+  if (!allowed.includes(value)) throw new Error(`${name} must be one of ${allowed.join(', ')} (got ${process.env[name]})`);
+  return value;
+}
+
 export const config = {
   port: parseInt(process.env.PORT || '8080', 10),
   jwtSecret: process.env.JWT_SECRET || 'dev_secret_change_me',
+  // Lifetime of the single-use tickets that open SSE streams
+  streamTicketTtlSeconds: parseInt(process.env.STREAM_TICKET_TTL_SECONDS || '60', 10),
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   uploadDir: process.env.UPLOAD_DIR || './uploads',
+  attachmentMaxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(15 * 1024 * 1024), 10),
+  attachmentMaxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES || '5', 10),
   paymentsMode: process.env.PAYMENTS_MODE || 'MOCK',
 
   // Stripe core
@@ -19,10 +30,61 @@ export const config = {
   stripeConnectRefreshUrl: process.env.STRIPE_CONNECT_REFRESH_URL || 'http://localhost:5173/provider',
   stripeConnectDefaultCountry: process.env.STRIPE_CONNECT_DEFAULT_COUNTRY || 'US',
 
+  // FX: pivot currencies tried (in order) when no direct pair is stored
+  fxPivotCurrencies: process.env.FX_PIVOT_CURRENCIES || 'USD,EUR',
+  // FX staleness: default max age, per-pair overrides ("USD/TRY=12,EUR/TRY=12"), admin alert cooldown
+  fxStaleHours: parseInt(process.env.FX_STALE_HOURS || '48', 10),
+  fxStaleHoursByPair: process.env.FX_STALE_HOURS_BY_PAIR || '',
+  fxStaleAlertCooldownHours: parseInt(process.env.FX_STALE_ALERT_COOLDOWN_HOURS || '24', 10),
+  fxRateLockMinutes: parseInt(process.env.FX_RATE_LOCK_MINUTES || '30', 10),
+  fxImportMaxBytes: parseInt(process.env.FX_IMPORT_MAX_BYTES || String(2 * 1024 * 1024), 10),
+
+  // Idempotency-Key retention and how long an unfinished request keeps its key
+  idempotencyKeyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10),
+  idempotencyLockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60', 10),
+
+  // Payment plans: default deposit share, reminder lead time, overdue grace before cancellation,
+  // and how long an unconfirmed installment payment blocks a new attempt
+  paymentPlanDepositPercent: parseInt(process.env.PAYMENT_PLAN_DEPOSIT_PERCENT || '20', 10),
+  installmentReminderDays: parseInt(process.env.INSTALLMENT_REMINDER_DAYS || '3', 10),
+  installmentCancelAfterOverdueDays: parseInt(process.env.INSTALLMENT_CANCEL_AFTER_OVERDUE_DAYS || '7', 10),
+  installmentAttemptStaleMinutes: parseInt(process.env.INSTALLMENT_ATTEMPT_STALE_MINUTES || '30', 10),
+
+  // Platform commission when no CommissionRule matches, and the card fee estimate
+  // (percent in basis points + fixed USD cents) used until Stripe reports the actual fee
+  commissionDefaultPercentBps: parseInt(process.env.COMMISSION_DEFAULT_PERCENT_BPS || '0', 10),
+  stripeFeePercentBps: parseInt(process.env.STRIPE_FEE_PERCENT_BPS || '290', 10),
+  stripeFeeFixedCents: parseInt(process.env.STRIPE_FEE_FIXED_CENTS || '30', 10),
+
+  // Automatic escrow release defaults (per provider type: EscrowReleasePolicy rows).
+  // Opt-in: without ESCROW_AUTO_RELEASE=true or a policy row, held funds wait for an admin.
+  escrowAutoReleaseEnabled: process.env.ESCROW_AUTO_RELEASE === 'true',
+  escrowReleaseHoldDays: parseInt(process.env.ESCROW_RELEASE_HOLD_DAYS || '0', 10),
+  escrowReleaseReminderHours: parseInt(process.env.ESCROW_RELEASE_REMINDER_HOURS || '48', 10),
+  escrowAllowEarlyConfirmation: process.env.ESCROW_ALLOW_EARLY_CONFIRMATION !== 'false',
+
+  // Manual-capture authorizations: validity assumed until Stripe reports capture_before,
+  // how long before expiry the job acts, and what it does then (WARN, or CAPTURE to charge
+  // the card without admin action)
+  authorizationValidityHours: parseInt(process.env.AUTHORIZATION_VALIDITY_HOURS || '168', 10),
+  authorizationExpiryMarginHours: parseInt(process.env.AUTHORIZATION_EXPIRY_MARGIN_HOURS || '24', 10),
+  authorizationExpiryAction: oneOf('AUTHORIZATION_EXPIRY_ACTION', ['WARN', 'CAPTURE'], 'WARN'),
+
   // Payout scheduling
   payoutIntervalDays: parseInt(process.env.PAYOUT_INTERVAL_DAYS || '7', 10),
 
+  // Quotation SLA enforcement
+  slaWarnBeforeHours: parseInt(process.env.SLA_WARN_BEFORE_HOURS || '4', 10),
+  slaExpireGraceHours: parseInt(process.env.SLA_EXPIRE_GRACE_HOURS || '24', 10),
+
   // Background jobs
   cronEnabled: process.env.CRON_ENABLED === 'true',
-  cronPayoutSpec: process.env.CRON_PAYOUT_SPEC || '*/15 * * * *'
+  cronPayoutSpec: process.env.CRON_PAYOUT_SPEC || '*/15 * * * *',
+  cronSlaSpec: process.env.CRON_SLA_SPEC || '*/10 * * * *',
+  cronFxStaleSpec: process.env.CRON_FX_STALE_SPEC || '0 * * * *',
+  cronProcedureUsdSpec: process.env.CRON_PROCEDURE_USD_SPEC || '15 * * * *',
+  cronIdempotencyPurgeSpec: process.env.CRON_IDEMPOTENCY_PURGE_SPEC || '30 3 * * *',
+  cronPaymentPlanSpec: process.env.CRON_PAYMENT_PLAN_SPEC || '45 * * * *',
+  cronEscrowReleaseSpec: process.env.CRON_ESCROW_RELEASE_SPEC || '5 * * * *',
+  cronAuthorizationExpirySpec: process.env.CRON_AUTHORIZATION_EXPIRY_SPEC || '25 * * * *'
 };
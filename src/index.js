@@ -3,20 +3,34 @@ import cors from 'cors';
 import morgan from 'morgan';
 import { config } from './config.js';
 import { prisma } from './prisma.js';
+import { catchAsync, errorHandler } from './asyncRouter.js';
 
 import authRoutes from './routes/auth.js';
 import meRoutes from './routes/me.js';
 import providersRoutes from './routes/providers.js';
 import proceduresRoutes from './routes/procedures.js';
 import quotationsRoutes from './routes/quotations.js';
+import rfqsRoutes from './routes/rfqs.js';
+import tripsRoutes from './routes/trips.js';
 import notificationsRoutes from './routes/notifications.js';
 import paymentsRoutes from './routes/payments.js';
+import paymentPlansRoutes from './routes/paymentPlans.js';
+import ledgerRoutes from './routes/ledger.js';
+import disputesRoutes from './routes/disputes.js';
 import fxRoutes from './routes/fx.js';
 import pricingRoutes from './routes/pricing.js';
+import searchRoutes from './routes/search.js';
 import { stripeWebhookHandler } from './routes/stripeWebhook.js';
 
 import cron from 'node-cron';
 import { runDuePayouts } from './services/payouts.js';
+import { runQuotationSla } from './services/sla.js';
+import { alertStaleRates } from './services/fx.js';
+import { refreshUsdPrices } from './services/procedurePrices.js';
+import { purgeExpiredIdempotencyKeys } from './services/idempotency.js';
+import { runPaymentPlanJobs } from './services/paymentPlans.js';
+import { runEscrowReleaseJobs } from './services/escrowRelease.js';
+import { runAuthorizationExpiryJobs } from './services/authorizations.js';
 
 const app = express();
 
@@ -45,13 +59,15 @@ app.options('*', cors());
 
 /* ========================= */
 
+// Log paths without query strings so tokens passed in URLs never reach the access log.
+morgan.token('url', (req) => (req.originalUrl || req.url).split('?')[0]);
 app.use(morgan('dev'));
 
 // Stripe webhook MUST use raw body
 app.post(
   '/payments/stripe/webhook',
   express.raw({ type: 'application/json' }),
-  stripeWebhookHandler
+  catchAsync(stripeWebhookHandler)
 );
 
 app.use(express.json({ limit: '2mb' }));
@@ -70,10 +86,16 @@ app.use('/', meRoutes);
 app.use('/providers', providersRoutes);
 app.use('/procedures', proceduresRoutes);
 app.use('/quotations', quotationsRoutes);
+app.use('/rfqs', rfqsRoutes);
+app.use('/trips', tripsRoutes);
 app.use('/notifications', notificationsRoutes);
 app.use('/payments', paymentsRoutes);
+app.use('/payment-plans', paymentPlansRoutes);
+app.use('/ledger', ledgerRoutes);
+app.use('/disputes', disputesRoutes);
 app.use('/fx', fxRoutes);
 app.use('/pricing', pricingRoutes);
+app.use('/search', searchRoutes);
 
 // Background jobs (cron)
 if (config.cronEnabled) {
@@ -88,11 +110,98 @@ if (config.cronEnabled) {
     }
   });
   console.log('[cron] enabled with spec:', config.cronPayoutSpec);
+
+  cron.schedule(config.cronSlaSpec, async () => {
+    try {
+      const r = await runQuotationSla({ limit: 100 });
+      if (r.warned || r.breached || r.expired) {
+        console.log('[cron] quotation SLA', r);
+      }
+    } catch (e) {
+      console.error('[cron] SLA job failed', e);
+    }
+  });
+  console.log('[cron] SLA job enabled with spec:', config.cronSlaSpec);
+
+  cron.schedule(config.cronFxStaleSpec, async () => {
+    try {
+      const r = await alertStaleRates();
+      if (r.notified) {
+        console.log('[cron] stale FX rates alerted', r);
+      }
+    } catch (e) {
+      console.error('[cron] FX staleness job failed', e);
+    }
+  });
+  console.log('[cron] FX staleness job enabled with spec:', config.cronFxStaleSpec);
+
+  cron.schedule(config.cronProcedureUsdSpec, async () => {
+    try {
+      const r = await refreshUsdPrices({ limit: 500 });
+      if (r.updated || r.missingRates.length) {
+        console.log('[cron] procedure USD prices refreshed', r);
+      }
+    } catch (e) {
+      console.error('[cron] procedure USD refresh failed', e);
+    }
+  });
+  console.log('[cron] procedure USD refresh enabled with spec:', config.cronProcedureUsdSpec);
+
+  cron.schedule(config.cronIdempotencyPurgeSpec, async () => {
+    try {
+      const r = await purgeExpiredIdempotencyKeys();
+      if (r.deleted) {
+        console.log('[cron] expired idempotency keys purged', r);
+      }
+    } catch (e) {
+      console.error('[cron] idempotency key purge failed', e);
+    }
+  });
+  console.log('[cron] idempotency key purge enabled with spec:', config.cronIdempotencyPurgeSpec);
+
+  cron.schedule(config.cronPaymentPlanSpec, async () => {
+    try {
+      const r = await runPaymentPlanJobs({ limit: 100 });
+      if (r.reminded || r.overdue || r.cancelled) {
+        console.log('[cron] payment plans', r);
+      }
+    } catch (e) {
+      console.error('[cron] payment plan job failed', e);
+    }
+  });
+  console.log('[cron] payment plan job enabled with spec:', config.cronPaymentPlanSpec);
+
+  cron.schedule(config.cronEscrowReleaseSpec, async () => {
+    try {
+      const r = await runEscrowReleaseJobs({ limit: 100 });
+      if (r.reminded || r.released || r.failed.length) {
+        console.log('[cron] escrow release', r);
+      }
+    } catch (e) {
+      console.error('[cron] escrow release job failed', e);
+    }
+  });
+  console.log('[cron] escrow release job enabled with spec:', config.cronEscrowReleaseSpec);
+
+  cron.schedule(config.cronAuthorizationExpirySpec, async () => {
+    try {
+      const r = await runAuthorizationExpiryJobs({ limit: 100 });
+      if (r.captured || r.warned || r.failed.length) {
+        console.log('[cron] authorization expiry', r);
+      }
+    } catch (e) {
+      console.error('[cron] authorization expiry job failed', e);
+    }
+  });
+  console.log('[cron] authorization expiry job enabled with spec:', config.cronAuthorizationExpirySpec);
 }
 
 // 404
 app.use((req, res) => res.status(404).json({ error: 'not_found' }));
 
+// Errors passed to next() or thrown by async handlers (see asyncRouter.js)
+app.use(errorHandler);
+
 app.listen(config.port, () => {
   console.log(`MediTravel API listening on port ${config.port}`);
 });
@@ -1,10 +1,10 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
 import { prisma } from '../prisma.js';
 import { signJwt } from '../auth.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 const registerSchema = z.object({
   email: z.string().email(),
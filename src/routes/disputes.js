@@ -0,0 +1,211 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import path from 'path';
+import { prisma } from '../prisma.js';
+import { authRequired, requireRole } from '../auth.js';
+import { auditLog } from '../services/audit.js';
+import { attachmentUploader, sendAttachment } from '../services/attachments.js';
+import { transitionErrorStatus } from '../services/paymentStatus.js';
+import {
+  openDispute,
+  disputeParty,
+  addDisputeMessage,
+  reviewDispute,
+  withdrawDispute,
+  resolveDispute,
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_INCLUDE
+} from '../services/disputes.js';
+
+const router = asyncRouter();
+
+// Dispute evidence is stored like quotation attachments, under <uploadDir>/disputes/<disputeId>/.
+const uploadEvidence = attachmentUploader('disputes');
+
+const DISPUTE_ERROR_STATUS = {
+  not_found: 404,
+  payment_not_found: 404,
+  quotation_not_found: 404,
+  forbidden: 403,
+  bad_status: 409,
+  dispute_exists: 409,
+  stripe_dispute: 409,
+  payment_disputed: 409,
+  payment_required: 400,
+  refund_amount_required: 400,
+  refund_exceeds_remaining: 400,
+  stripe_refund_failed: 400
+};
+
+function sendDisputeError(res, e) {
+  if (!e.code) throw e;
+  const status = DISPUTE_ERROR_STATUS[e.code] || transitionErrorStatus(e);
+  return res.status(status).json({ error: e.code, message: e.message, details: e.details });
+}
+
+// Patient: open a dispute against a payment or a quotation
+const openSchema = z.object({
+  paymentId: z.string().min(1).optional(),
+  quotationId: z.string().min(1).optional(),
+  reason: z.string().min(1).max(200),
+  description: z.string().max(5000).optional()
+}).refine((d) => !!d.paymentId !== !!d.quotationId, { message: 'Give either paymentId or quotationId', path: ['paymentId'] });
+
+router.post('/', authRequired, requireRole('USER'), async (req, res) => {
+  const parsed = openSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  try {
+    const dispute = await openDispute({ userId: req.user.sub, ...parsed.data });
+    return res.json(dispute);
+  } catch (e) {
+    return sendDisputeError(res, e);
+  }
+});
+
+// Disputes the caller is party to (admin: all), newest first; ?status= filters.
+router.get('/', authRequired, async (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+  const where = status ? { status } : {};
+
+  if (req.user.role === 'USER') {
+    where.OR = [{ payment: { userId: req.user.sub } }, { quotation: { userId: req.user.sub } }];
+  }
+  if (req.user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+    if (!profile) return res.status(404).json({ error: 'profile_missing' });
+    where.OR = [
+      { quotation: { providerId: profile.id } },
+      { payment: { tripPackage: { components: { some: { providerId: profile.id } } } } }
+    ];
+  }
+
+  const list = await prisma.dispute.findMany({ where, include: DISPUTE_INCLUDE, orderBy: { createdAt: 'desc' }, take: 200 });
+  return res.json(list);
+});
+
+// Access check runs before multer so unauthorised uploads never reach the disk.
+async function requireDisputeParty(req, res, next) {
+  const dispute = await prisma.dispute.findUnique({ where: { id: req.params.id }, include: DISPUTE_INCLUDE });
+  if (!dispute) return res.status(404).json({ error: 'not_found' });
+  const party = await disputeParty(req.user, dispute);
+  if (!party) return res.status(403).json({ error: 'forbidden' });
+  req.dispute = dispute;
+  req.disputeParty = party;
+  return next();
+}
+
+function requireActiveDispute(req, res, next) {
+  if (!ACTIVE_DISPUTE_STATUSES.includes(req.dispute.status)) return res.status(409).json({ error: 'bad_status' });
+  return next();
+}
+
+router.get('/:id', authRequired, requireDisputeParty, async (req, res) => {
+  const [messages, attachments] = await Promise.all([
+    prisma.disputeMessage.findMany({
+      where: { disputeId: req.dispute.id },
+      include: { sender: { select: { fullName: true, role: true } } },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.disputeAttachment.findMany({
+      where: { disputeId: req.dispute.id },
+      select: { id: true, fileName: true, mimeType: true, sizeBytes: true, uploadedById: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+  return res.json({ ...req.dispute, messages, attachments });
+});
+
+const msgSchema = z.object({ body: z.string().min(1).max(2000) });
+
+router.post('/:id/messages', authRequired, requireDisputeParty, requireActiveDispute, async (req, res) => {
+  const parsed = msgSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const message = await addDisputeMessage({ dispute: req.dispute, senderId: req.user.sub, body: parsed.data.body });
+  return res.json(message);
+});
+
+// Evidence: any party may upload while the dispute is open
+router.post('/:id/attachments', authRequired, requireDisputeParty, requireActiveDispute, uploadEvidence, async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) return res.status(400).json({ error: 'file_required' });
+
+  const created = [];
+  for (const f of files) {
+    const fileName = f.originalname || path.basename(f.path);
+    const record = await prisma.disputeAttachment.create({
+      data: {
+        disputeId: req.dispute.id,
+        uploadedById: req.user.sub,
+        fileName,
+        mimeType: f.mimetype || 'application/octet-stream',
+        sizeBytes: f.size,
+        storagePath: f.path
+      }
+    });
+    await auditLog({
+      actorId: req.user.sub,
+      entityType: 'DisputeAttachment',
+      entityId: record.id,
+      action: 'dispute.attachment.uploaded',
+      metadata: { disputeId: req.dispute.id, fileName, mimeType: record.mimeType, sizeBytes: record.sizeBytes, party: req.disputeParty }
+    });
+    created.push(record);
+  }
+  return res.json({ uploaded: created.length, attachments: created });
+});
+
+router.get('/:id/attachments/:attachmentId', authRequired, requireDisputeParty, async (req, res) => {
+  const att = await prisma.disputeAttachment.findFirst({ where: { id: req.params.attachmentId, disputeId: req.dispute.id } });
+  if (!att) return res.status(404).json({ error: 'not_found' });
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'DisputeAttachment',
+    entityId: att.id,
+    action: 'dispute.attachment.downloaded',
+    metadata: { disputeId: att.disputeId, party: req.disputeParty }
+  });
+  return sendAttachment(res, att);
+});
+
+// Patient: withdraw their dispute (funds are unfrozen)
+router.post('/:id/withdraw', authRequired, requireRole('USER'), requireDisputeParty, async (req, res) => {
+  try {
+    return res.json(await withdrawDispute({ dispute: req.dispute, actorId: req.user.sub }));
+  } catch (e) {
+    return sendDisputeError(res, e);
+  }
+});
+
+// Admin: take into review
+router.post('/:id/review', authRequired, requireRole('ADMIN'), async (req, res) => {
+  try {
+    return res.json(await reviewDispute({ disputeId: req.params.id, actorId: req.user.sub }));
+  } catch (e) {
+    return sendDisputeError(res, e);
+  }
+});
+
+// Admin: resolve (refund, partial refund, release, split refund/release, or no action)
+const resolveSchema = z.object({
+  resolution: z.enum(['REFUND', 'PARTIAL_REFUND', 'RELEASE', 'SPLIT', 'NO_ACTION']),
+  refundCents: z.number().int().positive().optional(),
+  paymentId: z.string().min(1).optional(),
+  note: z.string().max(2000).optional()
+});
+
+router.post('/:id/resolve', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const parsed = resolveSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  try {
+    const dispute = await resolveDispute({ disputeId: req.params.id, actorId: req.user.sub, ...parsed.data });
+    return res.json(dispute);
+  } catch (e) {
+    return sendDisputeError(res, e);
+  }
+});
+
+export default router;
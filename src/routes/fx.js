@@ -1,10 +1,15 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { z } from 'zod';
 import { prisma } from '../prisma.js';
 import { authRequired, requireRole } from '../auth.js';
-import { getLatestRates, convertAmount } from '../services/fx.js';
+import multer from 'multer';
+import { config } from '../config.js';
+import { auditLog } from '../services/audit.js';
+import { getLatestRates, convertAmount, getRateSeries, findStaleRates, alertStaleRates } from '../services/fx.js';
+import { importRates, detectFormat, IMPORT_FORMATS } from '../services/fxImport.js';
+import { isSupportedCurrency, roundMajor } from '../services/money.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 // Public: get latest rates for a base
 router.get('/rates', async (req, res) => {
@@ -13,20 +18,47 @@ router.get('/rates', async (req, res) => {
   return res.json(data);
 });
 
-// Public: convert an amount using stored latest rates
+// Public: convert an amount using stored rates (latest, or effective at ?asOf=ISO date).
+// The response explains the conversion path (direct or via a pivot currency) and each rate used.
 router.get('/convert', async (req, res) => {
   const amount = Number(req.query.amount || 0);
   const from = String(req.query.from || 'USD');
   const to = String(req.query.to || 'USD');
   if (!Number.isFinite(amount) || amount < 0) return res.status(400).json({ error: 'validation' });
+  const asOf = req.query.asOf ? new Date(String(req.query.asOf)) : null;
+  if (asOf && Number.isNaN(asOf.getTime())) return res.status(400).json({ error: 'validation', message: 'asOf must be an ISO date' });
   try {
-    const out = await convertAmount({ amount, from, to });
-    return res.json(out);
+    const out = await convertAmount({ amount, from, to, asOf });
+    return res.json({
+      ...out,
+      // Rounded to the target currency's decimals; `rate` stays unrounded.
+      amount: isSupportedCurrency(out.to) ? roundMajor(out.amount, out.to) : out.amount,
+      requestedAsOf: asOf,
+      explanation: out.legs.length
+        ? out.legs.map((l) => `${l.base}->${l.quote} @ ${l.rate}${l.inverted ? ' (inverted)' : ''} as of ${l.asOf.toISOString()}`).join('; ')
+        : 'same currency'
+    });
   } catch (e) {
     return res.status(404).json({ error: e.code || 'fx_error', message: e.message });
   }
 });
 
+// Public: stored rate history for a pair (?base=USD&quote=TRY&from=ISO&to=ISO)
+router.get('/timeseries', async (req, res) => {
+  const base = String(req.query.base || '');
+  const quote = String(req.query.quote || '');
+  if (base.length !== 3 || quote.length !== 3) return res.status(400).json({ error: 'validation' });
+  const from = req.query.from ? new Date(String(req.query.from)) : null;
+  const to = req.query.to ? new Date(String(req.query.to)) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return res.status(400).json({ error: 'validation' });
+  }
+
+  const series = await getRateSeries({ base, quote, from, to });
+  if (!series.points.length) return res.status(404).json({ error: 'fx_rate_missing' });
+  return res.json(series);
+});
+
 // Admin: upsert rate (manual / licensed provider ingestion)
 const upsertSchema = z.object({
   base: z.string().min(3).max(3),
@@ -52,4 +84,73 @@ router.post('/admin/rates', authRequired, requireRole('ADMIN'), async (req, res)
   return res.json(row);
 });
 
+// Admin: bulk import from a CSV or ECB XML file (multipart field "file"), or JSON { content }.
+// Options (body or query): format=csv|ecb, asOf (default for CSV rows without one), dryRun=true.
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.fxImportMaxBytes, files: 1 } });
+
+const importSchema = z.object({
+  format: z.enum(IMPORT_FORMATS).optional(),
+  asOf: z.string().datetime().or(z.string().date()).optional(),
+  dryRun: z.enum(['true', 'false']).optional(),
+  content: z.string().optional()
+});
+
+router.post('/admin/rates/import', authRequired, requireRole('ADMIN'), (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const code = err.code === 'LIMIT_FILE_SIZE' ? 'file_too_large' : 'upload_failed';
+    return res.status(400).json({ error: code, message: err.message });
+  });
+}, async (req, res) => {
+  const opts = { ...req.query, ...req.body };
+  if (typeof opts.dryRun === 'boolean') opts.dryRun = String(opts.dryRun);
+  const parsed = importSchema.safeParse(opts);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const content = req.file ? req.file.buffer.toString('utf8') : parsed.data.content;
+  if (!content?.trim()) return res.status(400).json({ error: 'file_required' });
+
+  const format = detectFormat({ format: parsed.data.format, fileName: req.file?.originalname, content });
+  const dryRun = parsed.data.dryRun === 'true';
+
+  let result;
+  try {
+    result = await importRates({ content, format, defaultAsOf: parsed.data.asOf || null, dryRun });
+  } catch (e) {
+    if (e.code === 'too_many_rows') return res.status(400).json({ error: e.code, message: e.message });
+    throw e;
+  }
+
+  if (!dryRun) {
+    await auditLog({
+      actorId: req.user.sub,
+      entityType: 'ExchangeRate',
+      entityId: null,
+      action: 'fx.rates.import',
+      metadata: {
+        format,
+        fileName: req.file?.originalname || null,
+        received: result.received,
+        inserted: result.inserted,
+        skipped: result.skipped.length,
+        errors: result.errors.length
+      }
+    });
+  }
+
+  return res.status(result.errors.length && !result.inserted && !dryRun ? 422 : 200).json(result);
+});
+
+// Admin: pairs whose latest rate is past its staleness threshold
+router.get('/admin/stale', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const stale = await findStaleRates();
+  return res.json({ stale });
+});
+
+// Admin: run the staleness alert now (normally cron)
+router.post('/admin/stale/alert', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const out = await alertStaleRates();
+  return res.json(out);
+});
+
 export default router;
@@ -0,0 +1,64 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import { prisma } from '../prisma.js';
+import { authRequired, requireRole } from '../auth.js';
+import { accountBalances, accountStatement, providerBalance, checkIntegrity } from '../services/ledger.js';
+
+const router = asyncRouter();
+
+// Admin: accounts with balances, optionally filtered.
+const accountsQuery = z.object({
+  currency: z.string().length(3).optional(),
+  type: z.enum(['ASSET', 'LIABILITY', 'REVENUE', 'EXPENSE']).optional(),
+  providerId: z.string().min(1).optional(),
+  code: z.string().min(1).max(100).optional()
+});
+
+router.get('/admin/accounts', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const parsed = accountsQuery.safeParse({
+    ...req.query,
+    currency: req.query.currency ? String(req.query.currency).toUpperCase() : undefined,
+    type: req.query.type ? String(req.query.type).toUpperCase() : undefined
+  });
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+  return res.json(await accountBalances(parsed.data));
+});
+
+// Admin: an account's lines (newest first)
+router.get('/admin/accounts/:id/lines', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 500);
+  const statement = await accountStatement(req.params.id, { limit });
+  if (!statement) return res.status(404).json({ error: 'not_found' });
+  return res.json(statement);
+});
+
+// Admin: journal entries posted for a payment
+router.get('/admin/payments/:paymentId/entries', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const entries = await prisma.journalEntry.findMany({
+    where: { paymentId: req.params.paymentId },
+    include: { lines: { include: { account: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+  return res.json(entries);
+});
+
+// Admin: what the platform owes a provider
+router.get('/admin/providers/:providerId/balance', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const provider = await prisma.providerProfile.findUnique({ where: { id: req.params.providerId } });
+  if (!provider) return res.status(404).json({ error: 'not_found' });
+  return res.json(await providerBalance(provider.id));
+});
+
+// Admin: proves total debits equal total credits (per currency and per entry)
+router.get('/admin/integrity', authRequired, requireRole('ADMIN'), async (req, res) => {
+  return res.json(await checkIntegrity());
+});
+
+// Provider: own payable balance
+router.get('/provider/balance', authRequired, requireRole('PROVIDER'), async (req, res) => {
+  const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+  if (!profile) return res.status(404).json({ error: 'profile_missing' });
+  return res.json(await providerBalance(profile.id));
+});
+
+export default router;
@@ -1,8 +1,8 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { prisma } from '../prisma.js';
 import { authRequired } from '../auth.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 router.get('/me', authRequired, async (req, res) => {
   const userId = req.user.sub;
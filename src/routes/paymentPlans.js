@@ -0,0 +1,124 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import { prisma } from '../prisma.js';
+import { authRequired, requireRole } from '../auth.js';
+import {
+  createPaymentPlan,
+  cancelPaymentPlan,
+  planView,
+  summarizePlans,
+  runPaymentPlanJobs
+} from '../services/paymentPlans.js';
+
+const router = asyncRouter();
+
+// Patient: pay an accepted quotation as a deposit + balance (or custom installments).
+const installmentSchema = z.object({
+  amountCents: z.number().int().min(1),
+  dueAt: z.string().datetime(),
+  label: z.string().min(1).max(100).optional()
+});
+
+const createSchema = z.object({
+  quotationId: z.string().min(1),
+  depositPercent: z.number().int().min(1).max(99).optional(),
+  balanceDueAt: z.string().datetime().optional(),
+  installments: z.array(installmentSchema).min(2).max(12).optional(),
+  cancelAfterOverdueDays: z.number().int().min(1).max(60).optional()
+})
+  .refine((d) => d.installments || d.balanceDueAt, { message: 'balanceDueAt is required without installments', path: ['balanceDueAt'] })
+  .refine((d) => !(d.installments && (d.depositPercent || d.balanceDueAt)), { message: 'Use either installments or depositPercent/balanceDueAt', path: ['installments'] });
+
+const CREATE_ERROR_STATUS = { quotation_not_found: 404, forbidden: 403, payment_plan_exists: 409, quotation_already_paid: 409, quotation_in_trip: 409 };
+
+router.post('/', authRequired, requireRole('USER'), async (req, res) => {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  try {
+    const plan = await createPaymentPlan({ userId: req.user.sub, ...parsed.data });
+    return res.json(planView(plan));
+  } catch (e) {
+    if (!e.code) throw e;
+    return res.status(CREATE_ERROR_STATUS[e.code] || 400).json({ error: e.code, message: e.message });
+  }
+});
+
+const listInclude = {
+  installments: true,
+  quotation: { include: { procedure: true, provider: true } }
+};
+
+// Plans with paid / outstanding totals: the patient's own, a provider's bookings, or (admin) all.
+router.get('/me', authRequired, async (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+  const where = status ? { status } : {};
+
+  if (req.user.role === 'USER') where.userId = req.user.sub;
+  if (req.user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+    if (!profile) return res.status(404).json({ error: 'profile_missing' });
+    where.quotation = { providerId: profile.id };
+  }
+
+  const plans = await prisma.paymentPlan.findMany({
+    where,
+    include: req.user.role === 'USER' ? listInclude : { ...listInclude, user: { select: { fullName: true, email: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: 200
+  });
+  const views = plans.map(planView);
+  return res.json({ totals: summarizePlans(views), plans: views });
+});
+
+// Admin: run reminders / overdue marking / cancellations now (normally done by cron)
+router.post('/admin/run', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const result = await runPaymentPlanJobs({ limit: 200 });
+  return res.json(result);
+});
+
+async function loadPlanForParty(req) {
+  const plan = await prisma.paymentPlan.findUnique({
+    where: { id: req.params.id },
+    include: { ...listInclude, installments: { include: { payments: true } } }
+  });
+  if (!plan) return { status: 404, error: 'not_found' };
+  if (req.user.role === 'ADMIN' || plan.userId === req.user.sub) return { plan };
+  if (req.user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+    if (profile && profile.id === plan.quotation.providerId) return { plan };
+  }
+  return { status: 403, error: 'forbidden' };
+}
+
+router.get('/:id', authRequired, async (req, res) => {
+  const { plan, status, error } = await loadPlanForParty(req);
+  if (error) return res.status(status).json({ error });
+  return res.json(planView(plan));
+});
+
+// Patient (before anything is paid) or admin: cancel the plan's remaining installments.
+const cancelSchema = z.object({ reason: z.string().max(500).optional() });
+
+router.post('/:id/cancel', authRequired, async (req, res) => {
+  const parsed = cancelSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const plan = await prisma.paymentPlan.findUnique({ where: { id: req.params.id }, include: { installments: true } });
+  if (!plan) return res.status(404).json({ error: 'not_found' });
+  if (plan.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
+  if (plan.status !== 'ACTIVE') return res.status(400).json({ error: 'bad_status' });
+  if (req.user.role !== 'ADMIN' && plan.installments.some((i) => i.status === 'PAID')) {
+    return res.status(400).json({ error: 'plan_has_payments' });
+  }
+
+  const cancelled = await cancelPaymentPlan({
+    planId: plan.id,
+    actorId: req.user.sub,
+    reason: parsed.data.reason || (req.user.role === 'ADMIN' ? 'Cancelled by admin' : 'Cancelled by patient')
+  });
+  if (!cancelled) return res.status(409).json({ error: 'status_conflict' });
+  return res.json(planView(cancelled));
+});
+
+export default router;
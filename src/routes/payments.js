@@ -1,13 +1,36 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { z } from 'zod';
 import { prisma } from '../prisma.js';
 import { authRequired, requireRole } from '../auth.js';
 import { stripe, ensureStripeConfigured } from '../stripe.js';
 import { config } from '../config.js';
 import { auditLog } from '../services/audit.js';
-import { schedulePayoutForPayment, runDuePayouts } from '../services/payouts.js';
-
-const router = express.Router();
+import { runDuePayouts } from '../services/payouts.js';
+import { getAcceptedOffer } from '../services/offers.js';
+import { createRefund } from '../services/refunds.js';
+import { transitionPayment, transitionErrorStatus } from '../services/paymentStatus.js';
+import { idempotent } from '../services/idempotency.js';
+import { getPayableInstallment, settleInstallment, lockInstallmentForPayment } from '../services/paymentPlans.js';
+import { applyFeeBreakdown, revenueReport, FEE_PAYMENT_INCLUDE } from '../services/commissions.js';
+import { postPaymentHeld } from '../services/ledger.js';
+import {
+  releasePayment,
+  confirmTreatmentCompleted,
+  reportReleaseProblem,
+  clearReleaseFlag,
+  releasePolicyFor,
+  autoReleaseAt,
+  isReleasable,
+  listReleasePolicies,
+  runEscrowReleaseJobs,
+  PROVIDER_TYPES
+} from '../services/escrowRelease.js';
+import { activeDisputeFor } from '../services/disputes.js';
+import { captureAuthorization, createReauthorizationIntent, runAuthorizationExpiryJobs } from '../services/authorizations.js';
+import { getValidLockForOffer, consumeRateLock, releaseRateLock } from '../services/fxLocks.js';
+import { isSupportedCurrency, assertChargeable, moneyView } from '../services/money.js';
+
+const router = asyncRouter();
 
 /**
  * Payments & escrow-style accounting (LEGAL, production-structured)
@@ -15,94 +38,305 @@ const router = express.Router();
  * Modes:
  * - MOCK (default): immediate HELD record in DB (no PSP)
  * - STRIPE: PaymentIntents + webhooks. We do NOT claim to provide escrow; we
- *   use an escrow-like ledger in our DB (HELD -> RELEASED -> payout scheduling).
+ *   use an escrow-like ledger in our DB (HELD -> RELEASED -> payout scheduling),
+ *   with balances kept in the double-entry ledger (services/ledger.js).
  *
  * For marketplaces, real provider payouts should use Stripe Connect.
  */
 
+// Deposits against a quotation charge its accepted offer and deposits against a
+// trip package charge the package total; amountCents/currency are only taken
+// from the client for ad-hoc deposits without either. A quotation deposit in another
+// currency than the offer needs the rateLockId returned when the offer was displayed.
+// Quotations with a payment plan are paid one installment at a time (installmentId).
 const createDepositSchema = z.object({
   quotationId: z.string().optional(),
-  amountCents: z.number().int().min(50),
-  currency: z.string().min(3).max(3).optional(),
+  tripPackageId: z.string().optional(),
+  installmentId: z.string().optional(),
+  rateLockId: z.string().optional(),
+  amountCents: z.number().int().min(1).optional(),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
   holdDays: z.number().int().min(1).max(30).optional()
-});
+})
+  .refine((d) => !(d.quotationId && d.tripPackageId), { message: 'Use either quotationId or tripPackageId', path: ['tripPackageId'] })
+  .refine((d) => !d.installmentId || !(d.quotationId || d.tripPackageId || d.rateLockId), { message: 'installmentId cannot be combined with quotationId, tripPackageId or rateLockId', path: ['installmentId'] })
+  .refine((d) => d.quotationId || d.tripPackageId || d.installmentId || d.amountCents, { message: 'amountCents is required without quotationId', path: ['amountCents'] })
+  .refine((d) => !d.rateLockId || d.quotationId, { message: 'rateLockId requires quotationId', path: ['rateLockId'] });
+
+// Resolves what a deposit charges. Returns { target } or { status, error }.
+// The charge must clear the currency's minimum (see services/money.js).
+async function resolveDepositTarget(user, data) {
+  const resolved = await findDepositTarget(user, data);
+  if (resolved.error) return resolved;
+  try {
+    assertChargeable(resolved.target.amountCents, resolved.target.currency);
+  } catch (e) {
+    return { status: 400, error: e.code };
+  }
+  return resolved;
+}
 
-router.post('/deposit', authRequired, async (req, res) => {
-  const parsed = createDepositSchema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+async function findDepositTarget(user, data) {
+  if (data.installmentId) {
+    let inst;
+    try {
+      inst = await getPayableInstallment({ installmentId: data.installmentId, user });
+    } catch (e) {
+      const status = { installment_not_found: 404, forbidden: 403, bad_status: 400 }[e.code] || 409;
+      return { status, error: e.code };
+    }
+    if (data.amountCents && data.amountCents !== inst.amountCents) return { status: 400, error: 'amount_mismatch' };
+    if (data.currency && data.currency.toUpperCase() !== inst.plan.currency) return { status: 400, error: 'currency_mismatch' };
+
+    return {
+      target: {
+        quotationId: inst.plan.quotationId,
+        offerId: inst.plan.offerId,
+        tripPackageId: null,
+        installmentId: inst.id,
+        amountCents: inst.amountCents,
+        currency: inst.plan.currency
+      }
+    };
+  }
 
-  if (parsed.data.quotationId) {
-    const q = await prisma.quotationRequest.findUnique({ where: { id: parsed.data.quotationId }, include: { provider: true } });
-    if (!q) return res.status(404).json({ error: 'quotation_not_found' });
-    if (q.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
+  if (data.tripPackageId) {
+    const trip = await prisma.tripPackage.findUnique({ where: { id: data.tripPackageId }, include: { payments: true } });
+    if (!trip) return { status: 404, error: 'trip_not_found' };
+    if (trip.userId !== user.sub && user.role !== 'ADMIN') return { status: 403, error: 'forbidden' };
+    if (trip.status !== 'ACTIVE') return { status: 400, error: 'bad_status' };
+    if (trip.payments.some((p) => p.status !== 'FAILED')) return { status: 409, error: 'trip_already_paid' };
+    if (data.amountCents && data.amountCents !== trip.totalCents) return { status: 400, error: 'amount_mismatch' };
+    if (data.currency && data.currency.toUpperCase() !== trip.currency) return { status: 400, error: 'currency_mismatch' };
+
+    return {
+      target: {
+        quotationId: null,
+        offerId: null,
+        tripPackageId: trip.id,
+        amountCents: trip.totalCents,
+        currency: trip.currency
+      }
+    };
+  }
+
+  if (!data.quotationId) {
+    return {
+      target: {
+        quotationId: null,
+        offerId: null,
+        tripPackageId: null,
+        amountCents: data.amountCents,
+        currency: (data.currency || 'USD').toUpperCase()
+      }
+    };
+  }
+
+  const q = await prisma.quotationRequest.findUnique({ where: { id: data.quotationId } });
+  if (!q) return { status: 404, error: 'quotation_not_found' };
+  if (q.userId !== user.sub && user.role !== 'ADMIN') return { status: 403, error: 'forbidden' };
+
+  // Quotations bundled into an active trip are paid through the trip.
+  const inTrip = await prisma.tripComponent.findFirst({ where: { quotationId: q.id, package: { status: 'ACTIVE' } } });
+  if (inTrip) return { status: 409, error: 'quotation_in_trip', tripPackageId: inTrip.packageId };
+  // A plan that is paid off (COMPLETED) has charged the offer as well.
+  const plan = await prisma.paymentPlan.findFirst({ where: { quotationId: q.id, status: { not: 'CANCELLED' } } });
+  if (plan) return { status: 409, error: 'payment_plan_exists', paymentPlanId: plan.id };
+  const paid = await prisma.payment.findFirst({ where: { quotationId: q.id, installmentId: null, status: { not: 'FAILED' } } });
+  if (paid) return { status: 409, error: 'quotation_already_paid' };
+
+  let offer;
+  try {
+    offer = await getAcceptedOffer(q.id);
+  } catch (e) {
+    return { status: 400, error: e.code || 'no_accepted_offer' };
   }
 
-  const holdDays = parsed.data.holdDays ?? 7;
+  // Paying in the patient's currency: charge exactly what the lock showed them,
+  // and settle with the provider in the offer currency.
+  if (data.rateLockId) {
+    let lock;
+    try {
+      lock = await getValidLockForOffer({ lockId: data.rateLockId, userId: user.sub, offer });
+    } catch (e) {
+      return { status: e.code === 'rate_lock_not_found' ? 404 : 409, error: e.code };
+    }
+    if (data.amountCents && data.amountCents !== lock.quoteAmountCents) return { status: 400, error: 'amount_mismatch' };
+    if (data.currency && data.currency.toUpperCase() !== lock.quote) return { status: 400, error: 'currency_mismatch' };
+
+    return {
+      target: {
+        quotationId: q.id,
+        offerId: offer.id,
+        tripPackageId: null,
+        amountCents: lock.quoteAmountCents,
+        currency: lock.quote,
+        fxRateLockId: lock.id,
+        fxRate: lock.rate,
+        settlementAmountCents: offer.totalCents,
+        settlementCurrency: offer.currency
+      }
+    };
+  }
+
+  if (data.amountCents && data.amountCents !== offer.totalCents) return { status: 400, error: 'amount_mismatch' };
+  if (data.currency && data.currency.toUpperCase() !== offer.currency) return { status: 400, error: 'rate_lock_required' };
+
+  return {
+    target: {
+      quotationId: q.id,
+      offerId: offer.id,
+      tripPackageId: null,
+      amountCents: offer.totalCents,
+      currency: offer.currency
+    }
+  };
+}
+
+// Creates the local Payment for a resolved deposit target, consuming its rate lock (if any)
+// and claiming its installment (if any) in the same transaction, with its commission / fee breakdown (see services/commissions.js).
+async function createDepositPayment(userId, target, { status, escrowHoldUntil, idempotencyKeyId }) {
+  return prisma.$transaction(async (tx) => {
+    if (target.fxRateLockId) await consumeRateLock(target.fxRateLockId, tx);
+    if (target.installmentId) await lockInstallmentForPayment(tx, target.installmentId);
+    const payment = await tx.payment.create({
+      data: {
+        userId,
+        quotationId: target.quotationId,
+        offerId: target.offerId,
+        tripPackageId: target.tripPackageId,
+        installmentId: target.installmentId ?? null,
+        amountCents: target.amountCents,
+        currency: target.currency,
+        fxRateLockId: target.fxRateLockId ?? null,
+        fxRate: target.fxRate ?? null,
+        settlementAmountCents: target.settlementAmountCents ?? null,
+        settlementCurrency: target.settlementCurrency ?? null,
+        status,
+        escrowHoldUntil,
+        providerReleaseEligibleAt: escrowHoldUntil,
+        idempotencyKeyId: idempotencyKeyId ?? null
+      }
+    });
+    return applyFeeBreakdown(payment.id, undefined, tx);
+  });
+}
+
+const DEPOSIT_ERROR_STATUS = { rate_lock_used: 409, installment_already_paid: 409, fx_rate_missing: 400 };
+
+// Maps createDepositPayment errors; null for unexpected ones.
+function sendDepositError(res, e) {
+  const status = DEPOSIT_ERROR_STATUS[e.code];
+  return status ? res.status(status).json({ error: e.code, message: e.message }) : null;
+}
+
+// Payment created by an earlier attempt of this Idempotency-Key request (one that crashed or
+// answered 5xx). The retry carries on with it, so the PaymentIntent is created with the same
+// parameters and Stripe's idempotency returns the same one.
+async function findIdempotentPayment(req) {
+  if (!req.idempotency) return null;
+  return prisma.payment.findUnique({ where: { idempotencyKeyId: req.idempotency.id } });
+}
+
+// Resolves the deposit target and creates its payment, or sends the error response (and returns null).
+async function startDepositPayment(req, res, data, status) {
+  const resolved = await resolveDepositTarget(req.user, data);
+  if (resolved.error) {
+    res.status(resolved.status).json({ error: resolved.error, tripPackageId: resolved.tripPackageId, paymentPlanId: resolved.paymentPlanId });
+    return null;
+  }
+
+  const holdDays = data.holdDays ?? 7;
   const escrowHoldUntil = new Date(Date.now() + holdDays * 24 * 60 * 60 * 1000);
+  try {
+    return await createDepositPayment(req.user.sub, resolved.target, { status, escrowHoldUntil, idempotencyKeyId: req.idempotency?.id });
+  } catch (e) {
+    if (sendDepositError(res, e)) return null;
+    throw e;
+  }
+}
+
+// The PaymentIntent could not be created: fail the INITIATED payment and give its rate lock back.
+async function abandonDepositPayment(payment, reason) {
+  await transitionPayment({
+    paymentId: payment.id,
+    to: 'FAILED',
+    actor: { role: 'SYSTEM' },
+    reason,
+    effects: async (tx) => {
+      if (payment.fxRateLockId) await releaseRateLock(payment.fxRateLockId, tx);
+    }
+  });
+}
+
+router.post('/deposit', authRequired, idempotent('payments.deposit'), async (req, res) => {
+  const parsed = createDepositSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
 
   if (config.paymentsMode === 'STRIPE') {
     try {
       ensureStripeConfigured();
+    } catch (e) {
+      return res.status(500).json({ error: e.code || 'stripe_config', message: e.message });
+    }
+
+    // Create a local payment record first
+    const payment = (await findIdempotentPayment(req)) ?? (await startDepositPayment(req, res, parsed.data, 'INITIATED'));
+    if (!payment) return;
 
-      // Create a local payment record first
-      const payment = await prisma.payment.create({
-        data: {
-          userId: req.user.sub,
-          quotationId: parsed.data.quotationId || null,
-          amountCents: parsed.data.amountCents,
-          currency: (parsed.data.currency || 'USD').toUpperCase(),
-          status: 'INITIATED',
-          escrowHoldUntil,
-          providerReleaseEligibleAt: escrowHoldUntil
-        }
-      });
-
-      // PaymentIntent: manual capture lets us authorize now and capture later (up to Stripe limits).
-      const pi = await stripe.paymentIntents.create({
-        amount: parsed.data.amountCents,
-        currency: (parsed.data.currency || 'USD').toLowerCase(),
-        capture_method: 'manual',
-        metadata: { paymentId: payment.id, quotationId: payment.quotationId || '' }
-      });
-
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: { stripePaymentIntentId: pi.id }
-      });
-
-      await auditLog({
-        actorId: req.user.sub,
-        entityType: 'Payment',
-        entityId: payment.id,
-        action: 'stripe.payment_intent.created',
-        metadata: { paymentIntentId: pi.id }
-      });
-
-      return res.json({
-        payment,
-        stripe: {
-          paymentIntentId: pi.id,
-          clientSecret: pi.client_secret
+    // PaymentIntent: manual capture lets us authorize now and capture later (up to Stripe limits).
+    let pi;
+    try {
+      pi = await stripe.paymentIntents.create(
+        {
+          amount: payment.amountCents,
+          currency: payment.currency.toLowerCase(),
+          capture_method: 'manual',
+          metadata: {
+            paymentId: payment.id,
+            quotationId: payment.quotationId || '',
+            offerId: payment.offerId || '',
+            tripPackageId: payment.tripPackageId || '',
+            fxRateLockId: payment.fxRateLockId || '',
+            application_fee_cents: String(payment.platformFeeCents ?? 0)
+          }
         },
-        note: 'Client must confirm the PaymentIntent using Stripe.js or mobile SDK. Funds are authorized (manual capture).'
-      });
+        // Retries with the same Idempotency-Key map to the same PaymentIntent.
+        { idempotencyKey: req.idempotency?.stripeKey('payment_intent') }
+      );
     } catch (e) {
+      await abandonDepositPayment(payment, 'PaymentIntent creation failed');
       return res.status(400).json({ error: e.code || 'stripe_error', message: e.message });
     }
+
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { stripePaymentIntentId: pi.id }
+    });
+
+    await auditLog({
+      actorId: req.user.sub,
+      entityType: 'Payment',
+      entityId: payment.id,
+      action: 'stripe.payment_intent.created',
+      metadata: { paymentIntentId: pi.id }
+    });
+
+    return res.json({
+      payment,
+      stripe: {
+        paymentIntentId: pi.id,
+        clientSecret: pi.client_secret
+      },
+      note: 'Client must confirm the PaymentIntent using Stripe.js or mobile SDK. Funds are authorized (manual capture).'
+    });
   }
 
-  // MOCK mode (default)
-  const payment = await prisma.payment.create({
-    data: {
-      userId: req.user.sub,
-      quotationId: parsed.data.quotationId || null,
-      amountCents: parsed.data.amountCents,
-      currency: (parsed.data.currency || 'USD').toUpperCase(),
-      status: 'HELD',
-      escrowHoldUntil,
-      providerReleaseEligibleAt: escrowHoldUntil
-    }
-  });
+  // MOCK mode (default); settling and the ledger entry are safe to repeat on a retry.
+  const payment = (await findIdempotentPayment(req)) ?? (await startDepositPayment(req, res, parsed.data, 'HELD'));
+  if (!payment) return;
+  await settleInstallment(prisma, payment);
+  await postPaymentHeld(prisma, payment);
 
   return res.json({
     ...payment,
@@ -112,14 +346,9 @@ router.post('/deposit', authRequired, async (req, res) => {
 
 // STRIPE: create a PaymentIntent for a deposit.
 // Client uses client_secret to confirm the payment.
-const createStripeDepositSchema = z.object({
-  quotationId: z.string().optional(),
-  amountCents: z.number().int().min(50),
-  currency: z.string().min(3).max(3).optional(),
-  holdDays: z.number().int().min(1).max(30).optional()
-});
+const createStripeDepositSchema = createDepositSchema;
 
-router.post('/stripe/create-payment-intent', authRequired, async (req, res) => {
+router.post('/stripe/create-payment-intent', authRequired, idempotent('payments.create_payment_intent'), async (req, res) => {
   const parsed = createStripeDepositSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
 
@@ -133,35 +362,33 @@ router.post('/stripe/create-payment-intent', authRequired, async (req, res) => {
     return res.status(500).json({ error: e.code || 'stripe_config', message: e.message });
   }
 
-  const holdDays = parsed.data.holdDays ?? 7;
-  const escrowHoldUntil = new Date(Date.now() + holdDays * 24 * 60 * 60 * 1000);
-
   // Create internal payment record first.
-  const payment = await prisma.payment.create({
-    data: {
-      userId: req.user.sub,
-      quotationId: parsed.data.quotationId || null,
-      amountCents: parsed.data.amountCents,
-      currency: (parsed.data.currency || 'USD').toUpperCase(),
-      status: 'INITIATED',
-      escrowHoldUntil,
-      providerReleaseEligibleAt: escrowHoldUntil
-    }
-  });
+  const payment = (await findIdempotentPayment(req)) ?? (await startDepositPayment(req, res, parsed.data, 'INITIATED'));
+  if (!payment) return;
 
-  const intent = await stripe.paymentIntents.create({
-    amount: payment.amountCents,
-    currency: payment.currency.toLowerCase(),
-    // Manual capture allows an authorization hold (typically up to 7 days).
-    // This helps implement an escrow-like flow legally (as a ledger + delayed capture),
-    // but you still must comply with Stripe rules and your local regulations.
-    capture_method: 'manual',
-    metadata: {
-      paymentId: payment.id,
-      userId: req.user.sub,
-      quotationId: payment.quotationId || ''
-    }
-  });
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.create({
+      amount: payment.amountCents,
+      currency: payment.currency.toLowerCase(),
+      // Manual capture allows an authorization hold (typically up to 7 days).
+      // This helps implement an escrow-like flow legally (as a ledger + delayed capture),
+      // but you still must comply with Stripe rules and your local regulations.
+      capture_method: 'manual',
+      metadata: {
+        paymentId: payment.id,
+        userId: req.user.sub,
+        quotationId: payment.quotationId || '',
+        offerId: payment.offerId || '',
+        tripPackageId: payment.tripPackageId || '',
+        fxRateLockId: payment.fxRateLockId || '',
+        application_fee_cents: String(payment.platformFeeCents ?? 0)
+      }
+    }, { idempotencyKey: req.idempotency?.stripeKey('payment_intent') });
+  } catch (e) {
+    await abandonDepositPayment(payment, 'PaymentIntent creation failed');
+    return res.status(400).json({ error: e.code || 'stripe_error', message: e.message });
+  }
 
   await prisma.payment.update({
     where: { id: payment.id },
@@ -188,115 +415,207 @@ router.post('/stripe/create-payment-intent', authRequired, async (req, res) => {
 // STRIPE: capture authorized payment (admin only) when releasing funds.
 const captureSchema = z.object({ paymentId: z.string().min(1) });
 
+const AUTHORIZATION_ERROR_STATUS = {
+  payment_not_found: 404,
+  forbidden: 403,
+  missing_stripe_pi: 400,
+  bad_status: 400,
+  stripe_capture_failed: 400,
+  payments_mode_not_stripe: 400,
+  reauthorization_not_requested: 409,
+  stripe_not_configured: 500,
+  stripe_webhook_not_configured: 500
+};
+
+function sendAuthorizationError(res, e) {
+  if (!e.code) throw e;
+  const status = AUTHORIZATION_ERROR_STATUS[e.code] || transitionErrorStatus(e);
+  return res.status(status).json({ error: e.code === 'payment_not_found' ? 'not_found' : e.code, message: e.message, details: e.details });
+}
+
 router.post('/stripe/capture', authRequired, requireRole('ADMIN'), async (req, res) => {
   const parsed = captureSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
   if (config.paymentsMode !== 'STRIPE') return res.status(400).json({ error: 'payments_mode_not_stripe' });
 
   try {
-    ensureStripeConfigured();
+    const payment = await captureAuthorization({
+      paymentId: parsed.data.paymentId,
+      actor: { id: req.user.sub, role: 'ADMIN' },
+      reason: 'Captured by admin'
+    });
+    return res.json(payment);
   } catch (e) {
-    return res.status(500).json({ error: e.code || 'stripe_config', message: e.message });
+    return sendAuthorizationError(res, e);
   }
+});
 
-  const payment = await prisma.payment.findUnique({ where: { id: parsed.data.paymentId } });
-  if (!payment) return res.status(404).json({ error: 'not_found' });
-  if (!payment.stripePaymentIntentId) return res.status(400).json({ error: 'missing_stripe_pi' });
-
-  const pi = await stripe.paymentIntents.capture(payment.stripePaymentIntentId);
-  const updated = await prisma.payment.update({
-    where: { id: payment.id },
-    data: { status: 'HELD', capturedAt: new Date() }
-  });
-
-  await auditLog({
-    actorId: req.user.sub,
-    entityType: 'Payment',
-    entityId: payment.id,
-    action: 'stripe.payment_intent.captured',
-    metadata: { stripePaymentIntentId: pi.id }
-  });
-
-  return res.json(updated);
+// Patient: PaymentIntent to confirm when their card authorization expired or is about to
+// (see services/authorizations.js). Confirming it client-side renews the authorization.
+router.post('/:id/reauthorize', authRequired, requireRole('USER'), async (req, res) => {
+  try {
+    return res.json(await createReauthorizationIntent({ paymentId: req.params.id, userId: req.user.sub }));
+  } catch (e) {
+    return sendAuthorizationError(res, e);
+  }
 });
 
 const releaseSchema = z.object({ paymentId: z.string().min(1) });
 
-router.post('/release', authRequired, requireRole('ADMIN'), async (req, res) => {
+router.post('/release', authRequired, requireRole('ADMIN'), idempotent('payments.release'), async (req, res) => {
   const parsed = releaseSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
 
-  const payment = await prisma.payment.findUnique({ where: { id: parsed.data.paymentId }, include: { quotation: { include: { provider: true } } } });
+  // A partially refunded hold can still be released (its payouts are netted of the refunds).
+  try {
+    const { payment } = await releasePayment({
+      paymentId: parsed.data.paymentId,
+      actor: { id: req.user.sub, role: 'ADMIN' },
+      reason: 'Released by admin',
+      label: 'admin approval'
+    });
+    return res.json(payment);
+  } catch (e) {
+    return sendReleaseError(res, e);
+  }
+});
+
+const RELEASE_ERROR_STATUS = { payment_not_found: 404, forbidden: 403, bad_status: 400, payment_disputed: 409 };
+
+function sendReleaseError(res, e) {
+  if (!e.code) throw e;
+  const status = RELEASE_ERROR_STATUS[e.code] || transitionErrorStatus(e);
+  return res.status(status).json({ error: e.code === 'payment_not_found' ? 'not_found' : e.code, message: e.message, details: e.details });
+}
+
+// Release status of a payment (payer or admin): policy, automatic release date, confirmation / problem report.
+router.get('/:id/release', authRequired, async (req, res) => {
+  const payment = await prisma.payment.findUnique({ where: { id: req.params.id }, include: FEE_PAYMENT_INCLUDE });
   if (!payment) return res.status(404).json({ error: 'not_found' });
-  if (payment.status !== 'HELD') return res.status(400).json({ error: 'bad_status' });
+  if (payment.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
 
-  const updated = await prisma.payment.update({
-    where: { id: payment.id },
-    data: { status: 'RELEASED', providerReleasedAt: new Date() }
+  const policy = await releasePolicyFor(payment);
+  const dispute = await activeDisputeFor(payment);
+  const waiting = isReleasable(payment) && policy?.autoRelease && !payment.releaseFlaggedAt && !dispute;
+  return res.json({
+    paymentId: payment.id,
+    status: payment.status,
+    releasable: isReleasable(payment),
+    releasedAt: payment.providerReleasedAt,
+    autoReleaseAt: waiting ? autoReleaseAt(payment, policy) : null,
+    disputeId: dispute?.id ?? null,
+    patientConfirmedAt: payment.patientConfirmedAt,
+    releaseFlaggedAt: payment.releaseFlaggedAt,
+    releaseFlagReason: payment.releaseFlagReason,
+    policy
   });
+});
+
+// Patient: treatment completed (releases early when the provider type's policy allows it)
+router.post('/:id/confirm-completion', authRequired, requireRole('USER'), async (req, res) => {
+  try {
+    const out = await confirmTreatmentCompleted({ paymentId: req.params.id, userId: req.user.sub });
+    return res.json(out);
+  } catch (e) {
+    return sendReleaseError(res, e);
+  }
+});
 
-  // Schedule provider payout based on configured interval.
-  await schedulePayoutForPayment(payment.id);
+// Patient: report a problem, stopping the automatic release until an admin reviews it
+const reportProblemSchema = z.object({ reason: z.string().min(1).max(1000) });
 
-  if (payment.quotation?.provider?.userId) {
-    await prisma.notification.create({
-      data: {
-        userId: payment.quotation.provider.userId,
-        type: 'payment.released',
-        title: 'Escrow released',
-        body: `Payment ${payment.id} has been released (admin approval).`
-      }
-    });
+router.post('/:id/report-problem', authRequired, requireRole('USER'), async (req, res) => {
+  const parsed = reportProblemSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  try {
+    const payment = await reportReleaseProblem({ paymentId: req.params.id, userId: req.user.sub, reason: parsed.data.reason });
+    return res.json(payment);
+  } catch (e) {
+    return sendReleaseError(res, e);
   }
+});
 
-  return res.json(updated);
+// Admin: clear a reported problem so the automatic release can proceed
+router.post('/:id/release-flag/clear', authRequired, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const payment = await clearReleaseFlag({ paymentId: req.params.id, actorId: req.user.sub });
+    return res.json(payment);
+  } catch (e) {
+    return sendReleaseError(res, e);
+  }
 });
 
-const refundSchema = z.object({ paymentId: z.string().min(1), reason: z.string().optional() });
+// Admin: refund a payment in full or in part (amountCents omitted = everything still refundable).
+const refundSchema = z.object({
+  paymentId: z.string().min(1),
+  amountCents: z.number().int().positive().optional(),
+  reason: z.string().max(500).optional()
+});
+
+const REFUND_ERROR_STATUS = { payment_not_found: 404, bad_status: 400, refund_exceeds_remaining: 400, stripe_refund_failed: 400 };
 
-router.post('/refund', authRequired, requireRole('ADMIN'), async (req, res) => {
+router.post('/refund', authRequired, requireRole('ADMIN'), idempotent('payments.refund'), async (req, res) => {
   const parsed = refundSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
 
-  const payment = await prisma.payment.findUnique({ where: { id: parsed.data.paymentId } });
-  if (!payment) return res.status(404).json({ error: 'not_found' });
-  if (!['HELD','RELEASED'].includes(payment.status)) return res.status(400).json({ error: 'bad_status' });
-
-  // If Stripe mode and we have a PaymentIntent/Charge, issue a real refund.
-  if (config.paymentsMode === 'STRIPE' && payment.stripePaymentIntentId && stripe) {
-    try {
-      // Refund by PaymentIntent (Stripe will pick the underlying charge)
-      await stripe.refunds.create({ payment_intent: payment.stripePaymentIntentId, reason: 'requested_by_customer' });
-    } catch (e) {
-      return res.status(400).json({ error: 'stripe_refund_failed', message: e.message });
-    }
+  try {
+    const out = await createRefund({
+      paymentId: parsed.data.paymentId,
+      amountCents: parsed.data.amountCents ?? null,
+      reason: parsed.data.reason || null,
+      actorId: req.user.sub,
+      idempotencyKey: req.idempotency?.stripeKey('refund')
+    });
+    return res.json(out);
+  } catch (e) {
+    if (!REFUND_ERROR_STATUS[e.code]) throw e;
+    return res.status(REFUND_ERROR_STATUS[e.code]).json({ error: e.code, message: e.message });
   }
+});
 
-  const updated = await prisma.payment.update({
-    where: { id: payment.id },
-    data: { status: 'REFUNDED' }
-  });
+// Refund ledger of a payment (payer or admin).
+router.get('/:id/refunds', authRequired, async (req, res) => {
+  const payment = await prisma.payment.findUnique({ where: { id: req.params.id } });
+  if (!payment) return res.status(404).json({ error: 'not_found' });
+  if (payment.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
 
-  await auditLog({
-    actorId: req.user.sub,
-    entityType: 'Payment',
-    entityId: payment.id,
-    action: 'payment.refunded',
-    metadata: { reason: parsed.data.reason || null, mode: config.paymentsMode }
+  const refunds = await prisma.refund.findMany({ where: { paymentId: payment.id }, orderBy: { createdAt: 'asc' } });
+  return res.json({
+    paymentId: payment.id,
+    amount: moneyView(payment.amountCents, payment.currency),
+    refunded: moneyView(payment.refundedCents, payment.currency),
+    refunds: refunds.map((r) => ({ ...r, amount: moneyView(r.amountCents, r.currency) }))
   });
+});
 
-  await prisma.notification.create({
-    data: {
-      userId: payment.userId,
-      type: 'payment.refunded',
-      title: 'Refund processed',
-      body: parsed.data.reason || `Refund processed for payment ${payment.id}.`
-    }
-  });
+// Status history (who moved the payment, when and why; webhooks show as STRIPE)
+router.get('/:id/history', authRequired, async (req, res) => {
+  const payment = await prisma.payment.findUnique({ where: { id: req.params.id } });
+  if (!payment) return res.status(404).json({ error: 'not_found' });
+  if (payment.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
 
-  return res.json(updated);
+  const history = await prisma.paymentStatusHistory.findMany({
+    where: { paymentId: payment.id },
+    orderBy: { createdAt: 'asc' },
+    include: { actor: { select: { fullName: true, role: true } } }
+  });
+  return res.json(history);
 });
 
+// Payout with its fee breakdown in money form. The payment's feeBreakdown lists every
+// provider of a trip package, so it is dropped for provider-facing responses.
+function payoutView(p, { forProvider = false } = {}) {
+  return {
+    ...p,
+    ...(forProvider && p.payment ? { payment: { ...p.payment, feeBreakdown: undefined } } : {}),
+    amount: moneyView(p.amountCents, p.currency),
+    gross: moneyView(p.grossCents ?? p.amountCents, p.currency),
+    commission: moneyView(p.commissionCents, p.currency),
+    processingFee: moneyView(p.processingFeeCents, p.currency)
+  };
+}
+
 // Admin: view payouts
 router.get('/admin/payouts', authRequired, requireRole('ADMIN'), async (req, res) => {
   const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
@@ -306,7 +625,137 @@ router.get('/admin/payouts', authRequired, requireRole('ADMIN'), async (req, res
     orderBy: { scheduledAt: 'desc' },
     take: 200
   });
-  return res.json(list);
+  return res.json(list.map((p) => payoutView(p)));
+});
+
+// Admin: commission rules (see services/commissions.js for how a rule is picked)
+const commissionRuleSchema = z.object({
+  providerType: z.enum(['HOTEL', 'CLINIC', 'TOUR', 'TRANSPORT']).nullable().optional(),
+  providerId: z.string().min(1).nullable().optional(),
+  category: z.string().min(1).max(100).nullable().optional(),
+  percentBps: z.number().int().min(0).max(10000).optional(),
+  fixedCents: z.number().int().min(0).optional(),
+  fixedCurrency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
+  active: z.boolean().optional(),
+  note: z.string().max(500).nullable().optional()
+});
+
+router.get('/admin/commission-rules', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const rules = await prisma.commissionRule.findMany({
+    include: { provider: { select: { displayName: true, type: true } } },
+    orderBy: [{ active: 'desc' }, { updatedAt: 'desc' }]
+  });
+  return res.json(rules);
+});
+
+router.post('/admin/commission-rules', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const parsed = commissionRuleSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+  const data = { ...parsed.data, fixedCurrency: parsed.data.fixedCurrency?.toUpperCase() };
+  if (data.providerId && !(await prisma.providerProfile.findUnique({ where: { id: data.providerId } }))) {
+    return res.status(404).json({ error: 'provider_not_found' });
+  }
+
+  const rule = await prisma.commissionRule.create({ data: { ...data, createdById: req.user.sub } });
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'CommissionRule',
+    entityId: rule.id,
+    action: 'commission_rule.created',
+    metadata: data
+  });
+  return res.json(rule);
+});
+
+router.patch('/admin/commission-rules/:id', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const parsed = commissionRuleSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+  const existing = await prisma.commissionRule.findUnique({ where: { id: req.params.id } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+
+  // Rules only apply to payments created afterwards; stored breakdowns are never recomputed.
+  const data = { ...parsed.data, fixedCurrency: parsed.data.fixedCurrency?.toUpperCase() };
+  const rule = await prisma.commissionRule.update({ where: { id: existing.id }, data });
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'CommissionRule',
+    entityId: rule.id,
+    action: 'commission_rule.updated',
+    metadata: { before: existing, changes: data }
+  });
+  return res.json(rule);
+});
+
+// Admin: platform revenue (?from=&to= ISO dates, default: last 30 days)
+router.get('/admin/revenue', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+  const from = req.query.from ? new Date(String(req.query.from)) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) return res.status(400).json({ error: 'bad_range' });
+
+  return res.json(await revenueReport({ from, to }));
+});
+
+// Admin: automatic release policy per provider type (types without a row use the config defaults)
+const releasePolicySchema = z.object({
+  autoRelease: z.boolean().optional(),
+  holdDays: z.number().int().min(0).max(365).optional(),
+  reminderHours: z.number().int().min(0).max(24 * 30).optional(),
+  allowEarlyConfirmation: z.boolean().optional()
+});
+
+router.get('/admin/release-policies', authRequired, requireRole('ADMIN'), async (req, res) => {
+  return res.json(await listReleasePolicies());
+});
+
+router.put('/admin/release-policies/:providerType', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const providerType = String(req.params.providerType).toUpperCase();
+  if (!PROVIDER_TYPES.includes(providerType)) return res.status(404).json({ error: 'not_found' });
+  const parsed = releasePolicySchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const existing = await prisma.escrowReleasePolicy.findUnique({ where: { providerType } });
+  const current = (await listReleasePolicies()).find((p) => p.providerType === providerType);
+  const policy = await prisma.escrowReleasePolicy.upsert({
+    where: { providerType },
+    create: {
+      providerType,
+      autoRelease: current.autoRelease,
+      holdDays: current.holdDays,
+      reminderHours: current.reminderHours,
+      allowEarlyConfirmation: current.allowEarlyConfirmation,
+      ...parsed.data,
+      updatedById: req.user.sub
+    },
+    update: { ...parsed.data, updatedById: req.user.sub }
+  });
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'EscrowReleasePolicy',
+    entityId: policy.id,
+    action: 'release_policy.updated',
+    metadata: { providerType, before: existing, changes: parsed.data }
+  });
+  return res.json(policy);
+});
+
+// Admin: run release reminders / automatic releases now (normally done by cron)
+router.post('/admin/escrow-release/run', authRequired, requireRole('ADMIN'), async (req, res) => {
+  return res.json(await runEscrowReleaseJobs({ limit: 200 }));
+});
+
+// Admin: authorizations awaiting capture (soonest expiry first) and lapsed ones awaiting re-authorization
+router.get('/admin/authorizations', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const payments = await prisma.payment.findMany({
+    where: { OR: [{ status: 'AUTHORIZED' }, { status: 'FAILED', authorizationExpiredAt: { not: null } }] },
+    orderBy: [{ authorizationExpiresAt: 'asc' }, { createdAt: 'asc' }],
+    take: 200
+  });
+  return res.json({ action: config.authorizationExpiryAction, marginHours: config.authorizationExpiryMarginHours, payments });
+});
+
+// Admin: capture / warn about expiring authorizations now (normally done by cron)
+router.post('/admin/authorization-expiry/run', authRequired, requireRole('ADMIN'), async (req, res) => {
+  return res.json(await runAuthorizationExpiryJobs({ limit: 200 }));
 });
 
 // Admin: run due payouts now (in production, run via a cron/scheduler)
@@ -426,7 +875,7 @@ router.get('/provider/payouts', authRequired, requireRole('PROVIDER'), async (re
     orderBy: { scheduledAt: 'desc' },
     take: 200
   });
-  return res.json(list);
+  return res.json(list.map((p) => payoutView(p, { forProvider: true })));
 });
 
 router.get('/me', authRequired, async (req, res) => {
@@ -435,7 +884,7 @@ router.get('/me', authRequired, async (req, res) => {
     orderBy: { createdAt: 'desc' },
     take: 50
   });
-  return res.json(list);
+  return res.json(list.map((p) => ({ ...p, amount: moneyView(p.amountCents, p.currency) })));
 });
 
 export default router;
@@ -1,51 +1,114 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
 import { prisma } from '../prisma.js';
 import { computePriceConfidence } from '../services/confidence.js';
-import { convertAmount } from '../services/fx.js';
+import { isSupportedCurrency } from '../services/money.js';
+import { convertProcedurePrice } from '../services/procedurePrices.js';
+import { procedureConfidence } from '../services/priceSignals.js';
+import { getMarketStats, compareToMarket, convertStats } from '../services/marketPricing.js';
+import { estimateTrip } from '../services/tripEstimate.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 // Pricing endpoint for a procedure:
-// - returns USD price range
-// - optionally converts to another currency using stored FX rates
+// - returns the provider's price range, converted from its native currency when
+//   ?currency differs (default USD, as before native pricing)
 // - returns confidence score
 router.get('/procedure/:procedureId', async (req, res) => {
-  const procedure = await prisma.procedure.findUnique({ where: { id: req.params.procedureId } });
+  const procedure = await prisma.procedure.findUnique({ where: { id: req.params.procedureId }, include: { provider: true } });
   if (!procedure) return res.status(404).json({ error: 'not_found' });
 
   const currency = (req.query.currency ? String(req.query.currency) : 'USD').toUpperCase();
+  if (!isSupportedCurrency(currency)) return res.status(400).json({ error: 'unsupported_currency' });
 
   const source = 'PROVIDER'; // provider-entered range
-  const lastUpdatedDays = 0; // we don't track per-procedure updatedAt in schema; treat as fresh
-  const conf = computePriceConfidence({ source, lastUpdatedDays, sampleSize: 10 });
+  const { confidence: conf, signals } = await procedureConfidence(procedure);
 
-  const usd = { min: procedure.priceMinUSD, max: procedure.priceMaxUSD, currency: 'USD' };
-  if (currency === 'USD') {
-    return res.json({ procedureId: procedure.id, range: usd, confidence: conf, source, disclaimer: 'Health pricing is indicative. Final price after medical review/quotation.' });
+  // How this provider's range compares to what patients paid in the same category and country.
+  const marketStats = await getMarketStats({ category: procedure.category, countryCode: procedure.provider.countryCode });
+  const market = {
+    sampleSize: marketStats.sampleSize,
+    medianUSD: marketStats.median,
+    p25USD: marketStats.p25,
+    p75USD: marketStats.p75,
+    confidence: marketStats.confidence,
+    ...compareToMarket(procedure, marketStats)
+  };
+
+  const native = { min: procedure.priceMin, max: procedure.priceMax, currency: procedure.priceCurrency };
+  if (currency === native.currency) {
+    return res.json({ procedureId: procedure.id, range: native, native, confidence: conf, signals, market, source, disclaimer: 'Health pricing is indicative. Final price after medical review/quotation.' });
   }
 
   try {
-    const minConv = await convertAmount({ amount: procedure.priceMinUSD, from: 'USD', to: currency });
-    const maxConv = await convertAmount({ amount: procedure.priceMaxUSD, from: 'USD', to: currency });
+    const conv = await convertProcedurePrice(procedure, currency);
     return res.json({
       procedureId: procedure.id,
-      range: { min: minConv.amount, max: maxConv.amount, currency },
-      fx: { rateMin: minConv.rate, rateMax: maxConv.rate, asOf: minConv.asOf || maxConv.asOf },
+      range: { min: conv.min, max: conv.max, currency },
+      native,
+      fx: { from: native.currency, rate: conv.rate, rateMin: conv.rate, rateMax: conv.rate, asOf: conv.asOf },
       confidence: conf,
+      signals,
+      market,
       source,
       disclaimer: 'Health pricing is indicative. Final price after medical review/quotation.'
     });
   } catch (e) {
-    // If FX missing, fall back to USD but with lower confidence.
+    if (e.code !== 'fx_rate_missing') throw e;
+    // If FX missing, fall back to the native price but with lower confidence.
     const conf2 = computePriceConfidence({ source: 'ESTIMATE', lastUpdatedDays: 999, sampleSize: 0 });
     return res.json({
       procedureId: procedure.id,
-      range: usd,
+      range: native,
+      native,
       confidence: conf2,
       source: 'ESTIMATE',
-      warning: `FX rate missing for USD->${currency}. Showing USD.`
+      warning: `FX rate missing for ${native.currency}->${currency}. Showing ${native.currency}.`
     });
   }
 });
 
+// Market pricing for a procedure category from accepted offers and captured payments:
+// median, p25/p75, sample size and recency (?countryCode=TR&currency=EUR&windowDays=365)
+router.get('/category/:category', async (req, res) => {
+  const currency = (req.query.currency ? String(req.query.currency) : 'USD').toUpperCase();
+  if (!isSupportedCurrency(currency)) return res.status(400).json({ error: 'unsupported_currency' });
+  const countryCode = req.query.countryCode ? String(req.query.countryCode) : null;
+  const windowDays = Math.min(1825, Math.max(1, Number(req.query.windowDays || 365)));
+  if (!Number.isFinite(windowDays)) return res.status(400).json({ error: 'validation' });
+
+  const stats = await getMarketStats({ category: req.params.category, countryCode, windowDays });
+  try {
+    return res.json({ ...(await convertStats(stats, currency)), source: 'HISTORICAL' });
+  } catch (e) {
+    if (e.code !== 'fx_rate_missing') throw e;
+    return res.json({ ...stats, source: 'HISTORICAL', warning: `FX rate missing for USD->${currency}. Showing USD.` });
+  }
+});
+
+// Whole-trip estimate in the patient's currency: procedure + hotel + transfers + tours,
+// itemised with a min/max total and an aggregate confidence score.
+const estimateSchema = z.object({
+  procedureId: z.string().min(1),
+  city: z.string().min(1).optional(),
+  nights: z.coerce.number().int().min(0).max(90),
+  companions: z.coerce.number().int().min(0).max(10).optional(),
+  tours: z.coerce.number().int().min(0).max(20).optional(),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional()
+});
+
+router.get('/estimate', async (req, res) => {
+  const parsed = estimateSchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  try {
+    const estimate = await estimateTrip({ ...parsed.data, currency: parsed.data.currency || 'USD' });
+    return res.json({ ...estimate, disclaimer: 'Trip estimates are indicative. Final prices come from provider quotations.' });
+  } catch (e) {
+    if (e.code === 'procedure_not_found') return res.status(404).json({ error: 'not_found' });
+    if (e.code === 'fx_rate_missing') return res.status(400).json({ error: e.code, message: e.message });
+    throw e;
+  }
+});
+
 export default router;
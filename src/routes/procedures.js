@@ -1,9 +1,11 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { z } from 'zod';
 import { prisma } from '../prisma.js';
 import { authRequired, requireRole } from '../auth.js';
+import { isSupportedCurrency } from '../services/money.js';
+import { usdEquivalent } from '../services/procedurePrices.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 // public: procedures for a provider
 router.get('/', async (req, res) => {
@@ -15,15 +17,24 @@ router.get('/', async (req, res) => {
 });
 
 // provider: manage own procedures
+// Prices are entered in the provider's currency (priceMin/priceMax/priceCurrency);
+// legacy clients may still send priceMinUSD/priceMaxUSD, treated as a USD price.
 const upsertSchema = z.object({
   id: z.string().optional(),
   name: z.string().min(2),
   category: z.string().min(1),
-  priceMinUSD: z.number().int().min(0),
-  priceMaxUSD: z.number().int().min(0),
+  priceMin: z.number().int().min(0).optional(),
+  priceMax: z.number().int().min(0).optional(),
+  priceCurrency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
+  priceMinUSD: z.number().int().min(0).optional(),
+  priceMaxUSD: z.number().int().min(0).optional(),
   description: z.string().optional(),
   active: z.boolean().optional()
-});
+})
+  .refine((d) => (d.priceMin != null && d.priceMax != null) || (d.priceMinUSD != null && d.priceMaxUSD != null), {
+    message: 'priceMin and priceMax are required',
+    path: ['priceMin']
+  });
 
 router.post('/me', authRequired, requireRole('PROVIDER'), async (req, res) => {
   const parsed = upsertSchema.safeParse(req.body);
@@ -32,18 +43,74 @@ router.post('/me', authRequired, requireRole('PROVIDER'), async (req, res) => {
   const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
   if (!profile) return res.status(404).json({ error: 'profile_missing' });
 
-  const data = { ...parsed.data };
-  delete data.id;
+  const existing = parsed.data.id ? await prisma.procedure.findUnique({ where: { id: parsed.data.id } }) : null;
+  if (parsed.data.id && !existing) return res.status(404).json({ error: 'not_found' });
+  if (existing && existing.providerId !== profile.id) return res.status(403).json({ error: 'forbidden' });
+
+  const { name, category, description, active } = parsed.data;
+  const price = parsed.data.priceMin != null
+    ? {
+        priceMin: parsed.data.priceMin,
+        priceMax: parsed.data.priceMax,
+        priceCurrency: (parsed.data.priceCurrency || existing?.priceCurrency || 'USD').toUpperCase()
+      }
+    : { priceMin: parsed.data.priceMinUSD, priceMax: parsed.data.priceMaxUSD, priceCurrency: 'USD' };
+  if (price.priceMin > price.priceMax) return res.status(400).json({ error: 'price_range_invalid' });
+
+  const priceChanged = !existing
+    || existing.priceMin !== price.priceMin
+    || existing.priceMax !== price.priceMax
+    || existing.priceCurrency !== price.priceCurrency;
+
+  let usd = {};
+  if (priceChanged) {
+    try {
+      usd = await usdEquivalent(price);
+    } catch (e) {
+      if (e.code !== 'fx_rate_missing') throw e;
+      return res.status(400).json({ error: e.code, message: `No ${price.priceCurrency}->USD rate available yet; try again later or price in USD.` });
+    }
+  }
+
+  const data = { name, category, description, active };
 
+  // Every price change is recorded in ProcedurePriceHistory (feeds price confidence).
   let procedure;
-  if (parsed.data.id) {
-    procedure = await prisma.procedure.update({
-      where: { id: parsed.data.id },
-      data,
-    });
+  if (existing) {
+    if (priceChanged) {
+      const now = new Date();
+      [procedure] = await prisma.$transaction([
+        prisma.procedure.update({
+          where: { id: existing.id },
+          data: { ...data, ...price, ...usd, usdPricedAt: now, priceUpdatedAt: now }
+        }),
+        prisma.procedurePriceHistory.create({
+          data: {
+            procedureId: existing.id,
+            ...price,
+            ...usd,
+            changedById: req.user.sub,
+            createdAt: now
+          }
+        })
+      ]);
+    } else {
+      procedure = await prisma.procedure.update({
+        where: { id: existing.id },
+        data,
+      });
+    }
   } else {
     procedure = await prisma.procedure.create({
-      data: { ...data, providerId: profile.id }
+      data: {
+        ...data,
+        ...price,
+        ...usd,
+        providerId: profile.id,
+        priceHistory: {
+          create: { ...price, ...usd, changedById: req.user.sub }
+        }
+      }
     });
   }
   return res.json(procedure);
@@ -56,4 +123,17 @@ router.get('/me', authRequired, requireRole('PROVIDER'), async (req, res) => {
   return res.json(list);
 });
 
+// public: price history of a procedure (oldest first)
+router.get('/:id/price-history', async (req, res) => {
+  const procedure = await prisma.procedure.findUnique({ where: { id: req.params.id } });
+  if (!procedure) return res.status(404).json({ error: 'not_found' });
+
+  const history = await prisma.procedurePriceHistory.findMany({
+    where: { procedureId: procedure.id },
+    select: { priceMin: true, priceMax: true, priceCurrency: true, priceMinUSD: true, priceMaxUSD: true, createdAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  return res.json({ procedureId: procedure.id, priceUpdatedAt: procedure.priceUpdatedAt, history });
+});
+
 export default router;
@@ -1,4 +1,4 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { z } from 'zod';
 import multer from 'multer';
 import fs from 'fs';
@@ -7,7 +7,7 @@ import { authRequired, requireRole } from '../auth.js';
 import { config } from '../config.js';
 import { auditLog } from '../services/audit.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
 // Verification docs upload directory
 const verificationDir = `${config.uploadDir}/provider-verification`;
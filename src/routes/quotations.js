@@ -1,16 +1,38 @@
-import express from 'express';
+import { asyncRouter } from '../asyncRouter.js';
 import { z } from 'zod';
-import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
 import { prisma } from '../prisma.js';
-import { authRequired, requireRole } from '../auth.js';
 import { config } from '../config.js';
+import { authRequired, authRequiredOrStreamTicket, signStreamTicket, requireRole } from '../auth.js';
+import { auditLog } from '../services/audit.js';
+import { computeOfferTotal, isOfferExpired } from '../services/offers.js';
+import { transitionQuotation, transitionErrorStatus } from '../services/quotationStatus.js';
+import { runQuotationSla, getSlaBreachCounts } from '../services/sla.js';
+import { subscribe, publish, isListening } from '../services/realtime.js';
+import { convertMinorAmount } from '../services/fx.js';
+import { formatMoney, isSupportedCurrency } from '../services/money.js';
+import { getOrCreateOfferLock } from '../services/fxLocks.js';
+import { attachmentUploader, sendAttachment } from '../services/attachments.js';
 
-const router = express.Router();
+const router = asyncRouter();
 
-fs.mkdirSync(config.uploadDir, { recursive: true });
-const upload = multer({ dest: config.uploadDir });
+// Quotation attachments are medical records: stored per quotation under
+// <uploadDir>/quotations/<quotationId>/ with random names, restricted to
+// documents and images, and only reachable through the authorised routes below.
+const uploadAttachments = attachmentUploader('quotations');
+
+// Resolves how the caller relates to a quotation: 'USER' (the patient who opened it),
+// 'PROVIDER' (the provider it targets) or 'ADMIN'. Returns null when there is no access.
+async function quotationParty(req, q) {
+  if (req.user.role === 'ADMIN') return 'ADMIN';
+  if (req.user.role === 'USER') return q.userId === req.user.sub ? 'USER' : null;
+  if (req.user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+    return profile && profile.id === q.providerId ? 'PROVIDER' : null;
+  }
+  return null;
+}
 
 const createSchema = z.object({
   providerId: z.string().min(1),
@@ -79,10 +101,74 @@ router.get('/me', authRequired, async (req, res) => {
   return res.json(list);
 });
 
+// Admin: SLA breach counts per provider (?since=ISO date)
+router.get('/admin/sla-breaches', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const since = req.query.since ? new Date(String(req.query.since)) : undefined;
+  if (since && Number.isNaN(since.getTime())) return res.status(400).json({ error: 'validation' });
+  const counts = await getSlaBreachCounts({ since });
+  return res.json(counts);
+});
+
+// Admin: list breaches for one provider
+router.get('/admin/sla-breaches/:providerId', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const list = await prisma.quotationSlaBreach.findMany({
+    where: { providerId: req.params.providerId },
+    include: { quotation: { include: { procedure: true } } },
+    orderBy: { breachedAt: 'desc' },
+    take: 200
+  });
+  return res.json(list);
+});
+
+// Admin: run the SLA job now (normally run by cron)
+router.post('/admin/sla/run', authRequired, requireRole('ADMIN'), async (req, res) => {
+  const result = await runQuotationSla({ limit: 100 });
+  return res.json(result);
+});
+
+// Unread message counts per quotation for the caller.
+router.get('/me/unread', authRequired, async (req, res) => {
+  let where;
+  if (req.user.role === 'USER') {
+    where = { userId: req.user.sub };
+  } else if (req.user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
+    if (!profile) return res.status(404).json({ error: 'profile_missing' });
+    where = { providerId: profile.id };
+  } else {
+    return res.json({ total: 0, quotations: [] });
+  }
+
+  const quotations = await prisma.quotationRequest.findMany({
+    where,
+    select: { id: true, readReceipts: { where: { userId: req.user.sub } } }
+  });
+
+  // One grouped count over every thread, each filtered from its own read receipt.
+  const grouped = quotations.length
+    ? await prisma.quotationMessage.groupBy({
+        by: ['quotationId'],
+        where: {
+          senderId: { not: req.user.sub },
+          OR: quotations.map((q) => {
+            const lastReadAt = q.readReceipts[0]?.lastReadAt;
+            return { quotationId: q.id, ...(lastReadAt ? { createdAt: { gt: lastReadAt } } : {}) };
+          })
+        },
+        _count: { _all: true }
+      })
+    : [];
+  const counts = grouped.map((g) => ({ quotationId: g.quotationId, unread: g._count._all })).filter((c) => c.unread);
+  return res.json({ total: counts.reduce((sum, c) => sum + c.unread, 0), quotations: counts });
+});
+
 const statusSchema = z.object({
-  status: z.enum(['OPEN','IN_REVIEW','RESPONDED','ACCEPTED','DECLINED','EXPIRED','CANCELLED'])
+  status: z.enum(['OPEN','IN_REVIEW','RESPONDED','ACCEPTED','DECLINED','EXPIRED','CANCELLED']),
+  reason: z.string().max(1000).optional()
 });
 
+// Status changes go through the state machine in services/quotationStatus.js,
+// which decides who may move a quotation from which status to which.
 router.post('/:id/status', authRequired, async (req, res) => {
   const parsed = statusSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
@@ -91,17 +177,24 @@ router.post('/:id/status', authRequired, async (req, res) => {
   if (!q) return res.status(404).json({ error: 'not_found' });
 
   // authorization: user owns OR provider owns OR admin
-  const role = req.user.role;
-  if (role === 'USER' && q.userId !== req.user.sub) return res.status(403).json({ error: 'forbidden' });
-  if (role === 'PROVIDER') {
-    const profile = await prisma.providerProfile.findUnique({ where: { userId: req.user.sub } });
-    if (!profile || profile.id !== q.providerId) return res.status(403).json({ error: 'forbidden' });
+  if (!(await quotationParty(req, q))) return res.status(403).json({ error: 'forbidden' });
+
+  // Acceptance must pick a concrete offer so the payable amount is known.
+  if (parsed.data.status === 'ACCEPTED') {
+    return res.status(409).json({ error: 'accept_via_offer', message: 'Use POST /quotations/:id/offers/:offerId/accept.' });
   }
 
-  const updated = await prisma.quotationRequest.update({
-    where: { id: q.id },
-    data: { status: parsed.data.status }
-  });
+  let updated;
+  try {
+    updated = await transitionQuotation({
+      quotationId: q.id,
+      to: parsed.data.status,
+      actor: { id: req.user.sub, role: req.user.role },
+      reason: parsed.data.reason || null
+    });
+  } catch (e) {
+    return res.status(transitionErrorStatus(e)).json({ error: e.code || 'transition_failed', message: e.message, ...(e.details || {}) });
+  }
 
   // notifications
   if (parsed.data.status === 'RESPONDED') {
@@ -113,35 +206,362 @@ router.post('/:id/status', authRequired, async (req, res) => {
         body: 'Your quotation request has been responded to. Open the chat for details.'
       }
     });
+  } else if (['DECLINED', 'CANCELLED'].includes(parsed.data.status)) {
+    const receiverUserId = req.user.role === 'USER' ? q.provider.userId : q.userId;
+    await prisma.notification.create({
+      data: {
+        userId: receiverUserId,
+        type: `quotation.${parsed.data.status.toLowerCase()}`,
+        title: `Quotation ${parsed.data.status.toLowerCase()}`,
+        body: parsed.data.reason || `The quotation request was ${parsed.data.status.toLowerCase()}.`
+      }
+    });
   }
 
   return res.json(updated);
 });
 
-// attachments upload
-router.post('/:id/attachments', authRequired, upload.array('files', 5), async (req, res) => {
+// Status history (who moved the quotation, when and why)
+router.get('/:id/history', authRequired, async (req, res) => {
   const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id } });
   if (!q) return res.status(404).json({ error: 'not_found' });
-  if (req.user.role === 'USER' && q.userId !== req.user.sub) return res.status(403).json({ error: 'forbidden' });
+  if (!(await quotationParty(req, q))) return res.status(403).json({ error: 'forbidden' });
+
+  const history = await prisma.quotationStatusHistory.findMany({
+    where: { quotationId: q.id },
+    orderBy: { createdAt: 'asc' },
+    include: { actor: { select: { fullName: true, role: true } } }
+  });
+  return res.json(history);
+});
+
+// ===================== OFFERS =====================
+// Providers answer a quotation with structured offers; the patient accepts one.
+
+const lineItemSchema = z.object({
+  kind: z.enum(['SURGERY','ANAESTHESIA','HOSPITAL_STAY','HOTEL_NIGHT','TRANSFER','CONSULTATION','MEDICATION','OTHER']),
+  description: z.string().min(1).max(500),
+  quantity: z.number().int().min(1).max(365).optional(),
+  unitAmountCents: z.number().int().min(0)
+});
+
+const offerSchema = z.object({
+  lineItems: z.array(lineItemSchema).min(1).max(50),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
+  validUntil: z.string().datetime(),
+  inclusions: z.array(z.string().min(1).max(200)).max(50).optional(),
+  exclusions: z.array(z.string().min(1).max(200)).max(50).optional(),
+  notes: z.string().max(2000).optional()
+});
+
+router.post('/:id/offers', authRequired, requireRole('PROVIDER'), async (req, res) => {
+  const parsed = offerSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id } });
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  if (await quotationParty(req, q) !== 'PROVIDER') return res.status(403).json({ error: 'forbidden' });
+  if (!['OPEN','IN_REVIEW','RESPONDED'].includes(q.status)) return res.status(400).json({ error: 'bad_status' });
+
+  const validUntil = new Date(parsed.data.validUntil);
+  if (validUntil <= new Date()) return res.status(400).json({ error: 'valid_until_in_past' });
+
+  const lineItems = parsed.data.lineItems.map((li) => {
+    const quantity = li.quantity ?? 1;
+    return {
+      kind: li.kind,
+      description: li.description,
+      quantity,
+      unitAmountCents: li.unitAmountCents,
+      totalCents: quantity * li.unitAmountCents
+    };
+  });
+  const totalCents = computeOfferTotal(lineItems);
+  if (totalCents <= 0) return res.status(400).json({ error: 'offer_total_zero' });
+
+  const createOffer = (db) =>
+    db.quotationOffer.create({
+      data: {
+        quotationId: q.id,
+        createdById: req.user.sub,
+        totalCents,
+        currency: (parsed.data.currency || 'USD').toUpperCase(),
+        validUntil,
+        inclusions: parsed.data.inclusions || [],
+        exclusions: parsed.data.exclusions || [],
+        notes: parsed.data.notes || null,
+        lineItems: { create: lineItems }
+      },
+      include: { lineItems: true }
+    });
+
+  // The first offer moves the quotation to RESPONDED; the offer is only created if that succeeds.
+  let offer;
+  if (q.status !== 'RESPONDED') {
+    const metadata = {};
+    try {
+      await transitionQuotation({
+        quotationId: q.id,
+        to: 'RESPONDED',
+        actor: { id: req.user.sub, role: req.user.role },
+        reason: 'offer_submitted',
+        metadata,
+        effects: async (tx) => {
+          offer = await createOffer(tx);
+          metadata.offerId = offer.id;
+        }
+      });
+    } catch (e) {
+      return res.status(transitionErrorStatus(e)).json({ error: e.code || 'transition_failed', message: e.message, ...(e.details || {}) });
+    }
+  } else {
+    offer = await createOffer(prisma);
+  }
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationOffer',
+    entityId: offer.id,
+    action: 'quotation.offer.created',
+    metadata: { quotationId: q.id, totalCents, currency: offer.currency }
+  });
+
+  publish(q.id, 'offer.new', offer, { exceptUserId: req.user.sub });
+
+  await prisma.notification.create({
+    data: {
+      userId: q.userId,
+      type: 'quotation.offer',
+      title: 'New offer received',
+      body: `You received an offer of ${formatMoney(totalCents, offer.currency)}, valid until ${validUntil.toISOString().slice(0, 10)}.`
+    }
+  });
+
+  return res.json(offer);
+});
+
+// ?currency=EUR adds a converted `display` price per offer. For the patient, payable
+// offers get an FX rate lock that /payments/deposit honours (rateLockId) until it expires.
+router.get('/:id/offers', authRequired, async (req, res) => {
+  const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id } });
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  const party = await quotationParty(req, q);
+  if (!party) return res.status(403).json({ error: 'forbidden' });
+
+  const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+  if (currency && !isSupportedCurrency(currency)) return res.status(400).json({ error: 'unsupported_currency' });
+
+  const offers = await prisma.quotationOffer.findMany({
+    where: { quotationId: q.id },
+    include: { lineItems: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  const now = new Date();
+
+  const out = [];
+  for (const o of offers) {
+    const expired = o.status === 'ACTIVE' && isOfferExpired(o, now);
+    const row = { ...o, expired };
+    if (currency && currency !== o.currency) {
+      try {
+        const payable = party === 'USER' && (o.status === 'ACCEPTED' || (o.status === 'ACTIVE' && !expired));
+        if (payable) {
+          const lock = await getOrCreateOfferLock({ userId: req.user.sub, offer: o, currency });
+          row.display = {
+            currency,
+            amountCents: lock.quoteAmountCents,
+            rate: lock.rate,
+            rateAsOf: lock.rateAsOf,
+            rateLockId: lock.id,
+            lockExpiresAt: lock.expiresAt
+          };
+        } else {
+          const fx = await convertMinorAmount({ amountMinor: o.totalCents, from: o.currency, to: currency });
+          row.display = { currency, amountCents: fx.amountMinor, rate: fx.rate, rateAsOf: fx.asOf };
+        }
+      } catch (e) {
+        if (e.code !== 'fx_rate_missing') throw e;
+        row.display = null;
+      }
+    }
+    out.push(row);
+  }
+  return res.json(out);
+});
+
+router.post('/:id/offers/:offerId/withdraw', authRequired, requireRole('PROVIDER'), async (req, res) => {
+  const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id } });
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  if (await quotationParty(req, q) !== 'PROVIDER') return res.status(403).json({ error: 'forbidden' });
 
+  const offer = await prisma.quotationOffer.findFirst({ where: { id: req.params.offerId, quotationId: q.id } });
+  if (!offer) return res.status(404).json({ error: 'offer_not_found' });
+  if (offer.status !== 'ACTIVE') return res.status(400).json({ error: 'bad_status' });
+
+  const updated = await prisma.quotationOffer.update({
+    where: { id: offer.id },
+    data: { status: 'WITHDRAWN' }
+  });
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationOffer',
+    entityId: offer.id,
+    action: 'quotation.offer.withdrawn',
+    metadata: { quotationId: q.id }
+  });
+
+  return res.json(updated);
+});
+
+router.post('/:id/offers/:offerId/accept', authRequired, requireRole('USER'), async (req, res) => {
+  const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id }, include: { provider: true } });
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  if (await quotationParty(req, q) !== 'USER') return res.status(403).json({ error: 'forbidden' });
+
+  const offer = await prisma.quotationOffer.findFirst({ where: { id: req.params.offerId, quotationId: q.id } });
+  if (!offer) return res.status(404).json({ error: 'offer_not_found' });
+  if (offer.status !== 'ACTIVE') return res.status(400).json({ error: 'bad_status' });
+  if (isOfferExpired(offer)) return res.status(400).json({ error: 'offer_expired' });
+
+  let accepted;
+  try {
+    await transitionQuotation({
+      quotationId: q.id,
+      to: 'ACCEPTED',
+      actor: { id: req.user.sub, role: req.user.role },
+      reason: 'offer_accepted',
+      metadata: { offerId: offer.id },
+      effects: async (tx) => {
+        accepted = await tx.quotationOffer.update({
+          where: { id: offer.id },
+          data: { status: 'ACCEPTED', acceptedAt: new Date() },
+          include: { lineItems: true }
+        });
+        await tx.quotationOffer.updateMany({
+          where: { quotationId: q.id, status: 'ACTIVE', id: { not: offer.id } },
+          data: { status: 'SUPERSEDED' }
+        });
+      }
+    });
+  } catch (e) {
+    return res.status(transitionErrorStatus(e)).json({ error: e.code || 'transition_failed', message: e.message, ...(e.details || {}) });
+  }
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationOffer',
+    entityId: offer.id,
+    action: 'quotation.offer.accepted',
+    metadata: { quotationId: q.id, totalCents: offer.totalCents, currency: offer.currency }
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: q.provider.userId,
+      type: 'quotation.offer.accepted',
+      title: 'Offer accepted',
+      body: `Your offer of ${formatMoney(offer.totalCents, offer.currency)} was accepted.`
+    }
+  });
+
+  return res.json(accepted);
+});
+
+// attachments: patient, assigned provider and admins only
+
+// Access check runs before multer so unauthorised uploads never reach the disk.
+async function requireQuotationParty(req, res, next) {
+  const q = await prisma.quotationRequest.findUnique({ where: { id: req.params.id } });
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  const party = await quotationParty(req, q);
+  if (!party) return res.status(403).json({ error: 'forbidden' });
+  req.quotation = q;
+  req.quotationParty = party;
+  return next();
+}
+
+router.post('/:id/attachments', authRequired, requireQuotationParty, uploadAttachments, async (req, res) => {
+  const q = req.quotation;
   const files = req.files || [];
+  if (!files.length) return res.status(400).json({ error: 'file_required' });
+
   const created = [];
   for (const f of files) {
     const fileName = f.originalname || path.basename(f.path);
     const record = await prisma.quotationAttachment.create({
       data: {
         quotationId: q.id,
+        uploadedById: req.user.sub,
         fileName,
         mimeType: f.mimetype || 'application/octet-stream',
         sizeBytes: f.size,
         storagePath: f.path
       }
     });
+    await auditLog({
+      actorId: req.user.sub,
+      entityType: 'QuotationAttachment',
+      entityId: record.id,
+      action: 'quotation.attachment.uploaded',
+      metadata: { quotationId: q.id, fileName, mimeType: record.mimeType, sizeBytes: record.sizeBytes }
+    });
     created.push(record);
   }
   return res.json({ uploaded: created.length, attachments: created });
 });
 
+router.get('/:id/attachments', authRequired, requireQuotationParty, async (req, res) => {
+  const list = await prisma.quotationAttachment.findMany({
+    where: { quotationId: req.quotation.id, deletedAt: null },
+    select: { id: true, fileName: true, mimeType: true, sizeBytes: true, uploadedById: true, createdAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  return res.json(list);
+});
+
+router.get('/:id/attachments/:attachmentId', authRequired, requireQuotationParty, async (req, res) => {
+  const att = await prisma.quotationAttachment.findFirst({
+    where: { id: req.params.attachmentId, quotationId: req.quotation.id, deletedAt: null }
+  });
+  if (!att) return res.status(404).json({ error: 'not_found' });
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationAttachment',
+    entityId: att.id,
+    action: 'quotation.attachment.downloaded',
+    metadata: { quotationId: att.quotationId, party: req.quotationParty }
+  });
+
+  return sendAttachment(res, att);
+});
+
+// Only the uploader may delete; the row is kept (deletedAt) for the audit trail.
+router.delete('/:id/attachments/:attachmentId', authRequired, requireQuotationParty, async (req, res) => {
+  const att = await prisma.quotationAttachment.findFirst({
+    where: { id: req.params.attachmentId, quotationId: req.quotation.id, deletedAt: null }
+  });
+  if (!att) return res.status(404).json({ error: 'not_found' });
+  if (att.uploadedById !== req.user.sub) return res.status(403).json({ error: 'forbidden' });
+
+  await fs.promises.rm(att.storagePath, { force: true });
+  const updated = await prisma.quotationAttachment.update({
+    where: { id: att.id },
+    data: { deletedAt: new Date(), deletedById: req.user.sub }
+  });
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationAttachment',
+    entityId: att.id,
+    action: 'quotation.attachment.deleted',
+    metadata: { quotationId: att.quotationId, fileName: att.fileName }
+  });
+
+  return res.json({ id: updated.id, deletedAt: updated.deletedAt });
+});
+
 // chat messages
 const msgSchema = z.object({ body: z.string().min(1).max(2000) });
 
@@ -179,23 +599,100 @@ router.post('/:id/messages', authRequired, async (req, res) => {
   }
 
   const msg = await prisma.quotationMessage.create({
-    data: { quotationId: q.id, senderId: req.user.sub, body: parsed.data.body }
+    data: { quotationId: q.id, senderId: req.user.sub, body: parsed.data.body },
+    include: { sender: { select: { fullName: true, role: true } } }
   });
 
-  // notify the other party
+  // Sending a message implies the sender has read the thread up to it.
+  await markThreadRead(q.id, req.user.sub, msg);
+
+  publish(q.id, 'message.new', msg, { exceptUserId: req.user.sub });
+
+  // notify the other party (only if they are not watching the thread live)
   const receiverUserId =
     req.user.role === 'USER' ? q.provider.userId : q.userId;
 
-  await prisma.notification.create({
-    data: {
-      userId: receiverUserId,
-      type: 'chat.new',
-      title: 'New message',
-      body: parsed.data.body.length > 120 ? parsed.data.body.slice(0, 120) + '…' : parsed.data.body
-    }
-  });
+  if (!isListening(q.id, receiverUserId)) {
+    await prisma.notification.create({
+      data: {
+        userId: receiverUserId,
+        type: 'chat.new',
+        title: 'New message',
+        body: parsed.data.body.length > 120 ? parsed.data.body.slice(0, 120) + '…' : parsed.data.body
+      }
+    });
+  }
 
   return res.json(msg);
 });
 
+// ===================== LIVE THREAD (SSE) =====================
+// Events: ready, message.new, typing, read, status.changed, offer.new
+// EventSource cannot send headers: it connects with ?ticket=<ticket from POST /:id/stream-ticket>.
+
+router.post('/:id/stream-ticket', authRequired, requireQuotationParty, (req, res) => {
+  const ticket = signStreamTicket(req.user, `${req.baseUrl}/${req.quotation.id}/stream`);
+  return res.json({ ticket, expiresInSeconds: config.streamTicketTtlSeconds });
+});
+
+router.get('/:id/stream', authRequiredOrStreamTicket, requireQuotationParty, (req, res) => {
+  subscribe(req.quotation.id, req.user.sub, res);
+});
+
+const typingSchema = z.object({ typing: z.boolean().optional() });
+
+router.post('/:id/typing', authRequired, requireQuotationParty, (req, res) => {
+  const parsed = typingSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  publish(
+    req.quotation.id,
+    'typing',
+    { userId: req.user.sub, role: req.user.role, typing: parsed.data.typing ?? true, at: new Date() },
+    { exceptUserId: req.user.sub }
+  );
+  return res.json({ ok: true });
+});
+
+async function markThreadRead(quotationId, userId, lastMessage) {
+  const receipt = await prisma.quotationReadReceipt.upsert({
+    where: { quotationId_userId: { quotationId, userId } },
+    create: { quotationId, userId, lastReadAt: lastMessage.createdAt, lastReadMessageId: lastMessage.id },
+    update: { lastReadAt: lastMessage.createdAt, lastReadMessageId: lastMessage.id }
+  });
+  publish(quotationId, 'read', { userId, lastReadAt: receipt.lastReadAt, lastReadMessageId: receipt.lastReadMessageId }, { exceptUserId: userId });
+  return receipt;
+}
+
+// Read receipt: marks the thread read up to a message (default: the latest one).
+const readSchema = z.object({ messageId: z.string().min(1).optional() });
+
+router.post('/:id/read', authRequired, requireQuotationParty, async (req, res) => {
+  const parsed = readSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const msg = parsed.data.messageId
+    ? await prisma.quotationMessage.findFirst({ where: { id: parsed.data.messageId, quotationId: req.quotation.id } })
+    : await prisma.quotationMessage.findFirst({ where: { quotationId: req.quotation.id }, orderBy: { createdAt: 'desc' } });
+  if (!msg) return res.status(404).json({ error: 'message_not_found' });
+
+  const existing = await prisma.quotationReadReceipt.findUnique({
+    where: { quotationId_userId: { quotationId: req.quotation.id, userId: req.user.sub } }
+  });
+  // Receipts only move forward.
+  if (existing && existing.lastReadAt >= msg.createdAt) return res.json(existing);
+
+  const receipt = await markThreadRead(req.quotation.id, req.user.sub, msg);
+  return res.json(receipt);
+});
+
+// Read receipts of all participants on a thread.
+router.get('/:id/read', authRequired, requireQuotationParty, async (req, res) => {
+  const receipts = await prisma.quotationReadReceipt.findMany({
+    where: { quotationId: req.quotation.id },
+    include: { user: { select: { fullName: true, role: true } } }
+  });
+  return res.json(receipts);
+});
+
 export default router;
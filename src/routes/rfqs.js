@@ -0,0 +1,152 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import { prisma } from '../prisma.js';
+import { authRequired, requireRole } from '../auth.js';
+import { auditLog } from '../services/audit.js';
+import { matchProceduresForRfq, compareRfqOffers, RFQ_SORTS } from '../services/rfq.js';
+import { isSupportedCurrency } from '../services/money.js';
+
+const router = asyncRouter();
+
+// Patient: broadcast one request for quote to several providers.
+// Either pick procedures explicitly (one per provider) or let us auto-match
+// verified providers by category (and optionally country).
+const createSchema = z.object({
+  category: z.string().min(1),
+  countryCode: z.string().min(2).max(2).optional(),
+  procedureIds: z.array(z.string().min(1)).min(1).max(10).optional(),
+  maxProviders: z.number().int().min(1).max(10).optional(),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
+  notes: z.string().optional(),
+  slaHours: z.number().int().min(1).max(168).optional()
+});
+
+router.post('/', authRequired, requireRole('USER'), async (req, res) => {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const { category, countryCode, procedureIds, maxProviders } = parsed.data;
+
+  let procedures;
+  if (procedureIds) {
+    procedures = await prisma.procedure.findMany({
+      where: { id: { in: procedureIds }, active: true },
+      include: { provider: true }
+    });
+    if (procedures.length !== new Set(procedureIds).size) return res.status(400).json({ error: 'procedure_not_found' });
+    if (procedures.some((p) => p.category !== category)) return res.status(400).json({ error: 'category_mismatch' });
+    if (new Set(procedures.map((p) => p.providerId)).size !== procedures.length) {
+      return res.status(400).json({ error: 'duplicate_provider' });
+    }
+  } else {
+    procedures = await matchProceduresForRfq({
+      category,
+      countryCode: countryCode?.toUpperCase(),
+      limit: maxProviders ?? 5
+    });
+  }
+  if (!procedures.length) return res.status(404).json({ error: 'no_matching_providers' });
+
+  const slaHours = parsed.data.slaHours ?? 24;
+  const slaDueAt = new Date(Date.now() + slaHours * 60 * 60 * 1000);
+
+  const rfq = await prisma.quotationRfq.create({
+    data: {
+      userId: req.user.sub,
+      category,
+      countryCode: countryCode?.toUpperCase() || null,
+      currency: (parsed.data.currency || 'USD').toUpperCase(),
+      notes: parsed.data.notes || null,
+      slaHours,
+      quotations: {
+        create: procedures.map((p) => ({
+          userId: req.user.sub,
+          providerId: p.providerId,
+          procedureId: p.id,
+          notes: parsed.data.notes || null,
+          slaHours,
+          slaDueAt
+        }))
+      }
+    },
+    include: { quotations: { include: { provider: true, procedure: true } } }
+  });
+
+  for (const q of rfq.quotations) {
+    await prisma.notification.create({
+      data: {
+        userId: q.provider.userId,
+        type: 'quotation.new',
+        title: 'New quotation request',
+        body: `You received a new quotation request (multi-provider RFQ). SLA: ${slaHours}h`
+      }
+    });
+  }
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'QuotationRfq',
+    entityId: rfq.id,
+    action: 'rfq.created',
+    metadata: { category, providers: rfq.quotations.map((q) => q.providerId), auto: !procedureIds }
+  });
+
+  return res.json(rfq);
+});
+
+router.get('/me', authRequired, requireRole('USER'), async (req, res) => {
+  const list = await prisma.quotationRfq.findMany({
+    where: { userId: req.user.sub },
+    include: { quotations: { select: { id: true, status: true, providerId: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+  return res.json(list);
+});
+
+async function loadOwnRfq(req, res) {
+  const rfq = await prisma.quotationRfq.findUnique({ where: { id: req.params.id } });
+  if (!rfq) {
+    res.status(404).json({ error: 'not_found' });
+    return null;
+  }
+  if (rfq.userId !== req.user.sub && req.user.role !== 'ADMIN') {
+    res.status(403).json({ error: 'forbidden' });
+    return null;
+  }
+  return rfq;
+}
+
+// Per-provider tracking: each provider's quotation status and offers count.
+router.get('/:id', authRequired, async (req, res) => {
+  const rfq = await loadOwnRfq(req, res);
+  if (!rfq) return;
+
+  const quotations = await prisma.quotationRequest.findMany({
+    where: { rfqId: rfq.id },
+    include: {
+      provider: { select: { id: true, displayName: true, verified: true, city: true, countryCode: true } },
+      procedure: true,
+      _count: { select: { offers: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+  return res.json({ ...rfq, quotations });
+});
+
+// Offers from all providers, converted to one currency and ranked.
+// ?currency=EUR&sort=price|response|verified
+router.get('/:id/compare', authRequired, async (req, res) => {
+  const rfq = await loadOwnRfq(req, res);
+  if (!rfq) return;
+
+  const sort = req.query.sort ? String(req.query.sort) : 'price';
+  if (!RFQ_SORTS.includes(sort)) return res.status(400).json({ error: 'validation', message: `sort must be one of ${RFQ_SORTS.join(', ')}` });
+  const currency = req.query.currency ? String(req.query.currency).toUpperCase() : rfq.currency;
+  if (!isSupportedCurrency(currency)) return res.status(400).json({ error: 'unsupported_currency' });
+
+  const comparison = await compareRfqOffers({ rfqId: rfq.id, currency, sort });
+  return res.json({ rfqId: rfq.id, ...comparison });
+});
+
+export default router;
@@ -0,0 +1,239 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import { prisma } from '../prisma.js';
+import { convertAmount } from '../services/fx.js';
+import { isSupportedCurrency, roundMajor } from '../services/money.js';
+import { computePriceConfidence } from '../services/confidence.js';
+import { getProviderResponsiveness } from '../services/responsiveness.js';
+import { getPriceSignals } from '../services/priceSignals.js';
+import { convertProcedurePrice } from '../services/procedurePrices.js';
+
+const router = asyncRouter();
+
+// Upper bound of candidates ranked in memory per search (confidence and
+// responsiveness are computed, not stored, so sorting happens here). Searches matching
+// more are answered with truncated: true; the client should narrow the filters.
+const MAX_CANDIDATES = 1000;
+
+// Stored USD equivalents are refreshed periodically, so the SQL price prefilter is widened
+// by this fraction to keep procedures whose native price still matches after FX moves.
+const PREFILTER_SLACK = 0.1;
+
+const searchSchema = z.object({
+  q: z.string().trim().min(1).max(200).optional(),
+  category: z.string().min(1).optional(),
+  countryCode: z.string().length(2).optional(),
+  city: z.string().min(1).optional(),
+  providerType: z.enum(['HOTEL','CLINIC','TOUR','TRANSPORT']).optional(),
+  verified: z.enum(['true','false','any']).optional(),
+  minPrice: z.coerce.number().min(0).optional(),
+  maxPrice: z.coerce.number().min(0).optional(),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency').optional(),
+  sort: z.enum(['relevance','price','confidence','responsiveness']).optional(),
+  order: z.enum(['asc','desc']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.string().optional()
+});
+
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify({ id: item.id, k: item._sortKey })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function relevance(p, q) {
+  if (!q) return 0;
+  const needle = q.toLowerCase();
+  let score = 0;
+  if (p.name.toLowerCase().includes(needle)) score += 3;
+  if (p.category.toLowerCase().includes(needle)) score += 2;
+  if (p.description?.toLowerCase().includes(needle)) score += 1;
+  return score;
+}
+
+// Public: search procedures across providers.
+// GET /search/procedures?q=&category=&countryCode=&city=&providerType=&verified=true|false|any
+//   &minPrice=&maxPrice=&currency=EUR&sort=relevance|price|confidence|responsiveness&order=&limit=&cursor=
+router.get('/procedures', async (req, res) => {
+  const parsed = searchSchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+  const f = parsed.data;
+
+  const currency = (f.currency || 'USD').toUpperCase();
+  const sort = f.sort || (f.q ? 'relevance' : 'price');
+  const order = f.order || (sort === 'price' ? 'asc' : 'desc');
+  const limit = f.limit ?? 20;
+
+  // Price filters come in the caller's currency. The SQL prefilter uses the stored USD
+  // equivalents (widened by PREFILTER_SLACK since they trail FX moves); the exact filter
+  // runs below on prices converted from each procedure's native currency.
+  let usdPerUnit = 1;
+  let displayRate = 1;
+  if (currency !== 'USD') {
+    try {
+      usdPerUnit = (await convertAmount({ amount: 1, from: currency, to: 'USD' })).rate;
+      displayRate = (await convertAmount({ amount: 1, from: 'USD', to: currency })).rate;
+    } catch (e) {
+      return res.status(400).json({ error: e.code || 'fx_error', message: e.message });
+    }
+  }
+
+  const where = { active: true };
+  if (f.q) {
+    where.OR = [
+      { name: { contains: f.q, mode: 'insensitive' } },
+      { category: { contains: f.q, mode: 'insensitive' } },
+      { description: { contains: f.q, mode: 'insensitive' } }
+    ];
+  }
+  if (f.category) where.category = { equals: f.category, mode: 'insensitive' };
+  if (f.minPrice != null) where.priceMaxUSD = { gte: Math.floor(f.minPrice * usdPerUnit * (1 - PREFILTER_SLACK)) };
+  if (f.maxPrice != null) where.priceMinUSD = { lte: Math.ceil(f.maxPrice * usdPerUnit * (1 + PREFILTER_SLACK)) };
+
+  const provider = {};
+  if (f.countryCode) provider.countryCode = f.countryCode.toUpperCase();
+  if (f.city) provider.city = { equals: f.city, mode: 'insensitive' };
+  if (f.providerType) provider.type = f.providerType;
+  if ((f.verified || 'true') !== 'any') provider.verified = (f.verified || 'true') === 'true';
+  where.provider = provider;
+
+  // Price sorts keep the cheapest (or dearest) candidates by stored USD price when truncating.
+  const rows = await prisma.procedure.findMany({
+    where,
+    include: { provider: { select: { id: true, displayName: true, type: true, countryCode: true, city: true, verified: true } } },
+    orderBy: sort === 'price' ? [{ priceMinUSD: order }, { id: 'asc' }] : { id: 'asc' },
+    take: MAX_CANDIDATES + 1
+  });
+  const truncated = rows.length > MAX_CANDIDATES;
+  const candidates = rows.slice(0, MAX_CANDIDATES);
+
+  const responsiveness = await getProviderResponsiveness([...new Set(candidates.map((p) => p.providerId))]);
+  const signals = await getPriceSignals(candidates);
+
+  const rates = new Map();
+  const items = [];
+  for (const p of candidates) {
+    let price;
+    try {
+      price = await convertProcedurePrice(p, currency, rates);
+    } catch (e) {
+      if (e.code !== 'fx_rate_missing') throw e;
+      // No direct rate for this native currency: approximate via the stored USD equivalent.
+      price = { min: roundMajor(p.priceMinUSD * displayRate, currency), max: roundMajor(p.priceMaxUSD * displayRate, currency), approximate: true };
+    }
+    if (f.minPrice != null && price.max < f.minPrice) continue;
+    if (f.maxPrice != null && price.min > f.maxPrice) continue;
+
+    const confidence = computePriceConfidence({ source: 'PROVIDER', ...signals.get(p.id) });
+    const resp = responsiveness.get(p.providerId);
+    const item = {
+      id: p.id,
+      name: p.name,
+      category: p.category,
+      description: p.description,
+      provider: p.provider,
+      price: {
+        min: price.min,
+        max: price.max,
+        currency,
+        ...(price.approximate ? { approximate: true } : {})
+      },
+      nativePrice: { min: p.priceMin, max: p.priceMax, currency: p.priceCurrency },
+      priceUSD: { min: p.priceMinUSD, max: p.priceMaxUSD },
+      confidence,
+      responsiveness: resp
+    };
+    // Sort key: a number where "better" depends on order; nulls sort last.
+    item._sortKey = sort === 'price' ? price.min
+      : sort === 'confidence' ? confidence.score
+      : sort === 'responsiveness' ? resp.avgResponseHours
+      : relevance(p, f.q);
+    items.push(item);
+  }
+
+  // Responsiveness: fewer hours is better, so "desc" (best first) means ascending hours.
+  const dir = (order === 'asc' ? 1 : -1) * (sort === 'responsiveness' ? -1 : 1);
+  const compare = (a, b) => {
+    if (a._sortKey == null && b._sortKey != null) return 1;
+    if (b._sortKey == null && a._sortKey != null) return -1;
+    if (a._sortKey !== b._sortKey) return (a._sortKey - b._sortKey) * dir;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+  items.sort(compare);
+
+  let start = 0;
+  if (f.cursor) {
+    const c = decodeCursor(f.cursor);
+    if (!c) return res.status(400).json({ error: 'bad_cursor' });
+    start = items.findIndex((it) => compare(it, { id: c.id, _sortKey: c.k }) > 0);
+    if (start === -1) start = items.length;
+  }
+
+  const page = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+  return res.json({
+    items: page.map(({ _sortKey, ...it }) => it),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    // Matches among the candidates; a lower bound when truncated.
+    total: items.length,
+    truncated,
+    sort,
+    order,
+    currency
+  });
+});
+
+const providerSearchSchema = z.object({
+  q: z.string().trim().min(1).max(200).optional(),
+  countryCode: z.string().length(2).optional(),
+  city: z.string().min(1).optional(),
+  type: z.enum(['HOTEL','CLINIC','TOUR','TRANSPORT']).optional(),
+  verified: z.enum(['true','false','any']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.string().optional()
+});
+
+// Public: search providers by name/city/procedure text, paginated by id cursor.
+router.get('/providers', async (req, res) => {
+  const parsed = providerSearchSchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+  const f = parsed.data;
+  const limit = f.limit ?? 20;
+
+  const where = {};
+  if (f.q) {
+    where.OR = [
+      { displayName: { contains: f.q, mode: 'insensitive' } },
+      { city: { contains: f.q, mode: 'insensitive' } },
+      { procedures: { some: { active: true, name: { contains: f.q, mode: 'insensitive' } } } },
+      { procedures: { some: { active: true, category: { contains: f.q, mode: 'insensitive' } } } }
+    ];
+  }
+  if (f.countryCode) where.countryCode = f.countryCode.toUpperCase();
+  if (f.city) where.city = { equals: f.city, mode: 'insensitive' };
+  if (f.type) where.type = f.type;
+  if ((f.verified || 'true') !== 'any') where.verified = (f.verified || 'true') === 'true';
+
+  const rows = await prisma.providerProfile.findMany({
+    where,
+    select: { id: true, displayName: true, type: true, countryCode: true, city: true, verified: true },
+    orderBy: { id: 'asc' },
+    take: limit + 1,
+    ...(f.cursor ? { cursor: { id: f.cursor }, skip: 1 } : {})
+  });
+
+  const page = rows.slice(0, limit);
+  const responsiveness = await getProviderResponsiveness(page.map((p) => p.id));
+  return res.json({
+    items: page.map((p) => ({ ...p, responsiveness: responsiveness.get(p.id) })),
+    nextCursor: rows.length > limit ? page[page.length - 1].id : null
+  });
+});
+
+export default router;
@@ -2,12 +2,35 @@ import { prisma } from '../prisma.js';
 import { config } from '../config.js';
 import { stripe } from '../stripe.js';
 import { auditLog } from '../services/audit.js';
+import { syncStripeRefund } from '../services/refunds.js';
+import { transitionPayment } from '../services/paymentStatus.js';
+import { recordProcessingFee } from '../services/commissions.js';
+import { syncStripeDispute } from '../services/disputes.js';
+import {
+  authorizationData,
+  paymentIntentRole,
+  syncChargeAuthorization,
+  handlePaymentIntentCanceled,
+  activateReauthorization
+} from '../services/authorizations.js';
 import crypto from 'crypto';
 
 function sha256Hex(buf) {
   return crypto.createHash('sha256').update(buf).digest('hex');
 }
 
+// Replaces the estimated processing fee with Stripe's once the charge has a balance transaction
+// (after capture). Fees settled in another currency than the charge keep the estimate.
+async function recordChargeFee(charge, paymentId) {
+  if (!charge.balance_transaction) return;
+  const bt =
+    typeof charge.balance_transaction === 'string'
+      ? await stripe.balanceTransactions.retrieve(charge.balance_transaction)
+      : charge.balance_transaction;
+  if (bt.currency !== charge.currency) return;
+  await recordProcessingFee(paymentId, bt.fee);
+}
+
 // Express handler for Stripe webhooks. Must be mounted with express.raw({ type: 'application/json' }).
 export async function stripeWebhookHandler(req, res) {
   if (!stripe || !config.stripeWebhookSecret) {
@@ -47,33 +70,56 @@ export async function stripeWebhookHandler(req, res) {
     switch (event.type) {
       case 'payment_intent.succeeded':
       case 'payment_intent.amount_capturable_updated':
-      case 'payment_intent.payment_failed': {
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled': {
         const pi = event.data.object;
         const paymentId = pi.metadata?.paymentId;
-        if (paymentId) {
-          const statusMap = {
-            succeeded: 'HELD',
-            requires_capture: 'AUTHORIZED',
-            processing: 'INITIATED'
-          };
-
-          let newStatus = statusMap[pi.status] || 'INITIATED';
-          if (event.type === 'payment_intent.payment_failed') newStatus = 'FAILED';
+        const payment = paymentId ? await prisma.payment.findUnique({ where: { id: paymentId } }) : null;
+        if (payment) {
+          // Events of a superseded PaymentIntent (e.g. the old authorization cancelled after a
+          // re-authorization) must not move the payment.
+          const intent = paymentIntentRole(payment, pi);
+          let out = null;
 
-          await prisma.payment.update({
-            where: { id: paymentId },
-            data: {
-              stripePaymentIntentId: pi.id,
-              status: newStatus
+          if (intent === 'reauthorization') {
+            if (pi.status === 'requires_capture') out = await activateReauthorization(payment, pi);
+            if (event.type === 'payment_intent.canceled') {
+              await prisma.payment.update({ where: { id: payment.id }, data: { reauthPaymentIntentId: null } });
             }
-          });
+          } else if (intent === 'current' && event.type === 'payment_intent.canceled') {
+            out = await handlePaymentIntentCanceled(payment, pi);
+          } else if (intent === 'current') {
+            const statusMap = {
+              succeeded: 'HELD',
+              requires_capture: 'AUTHORIZED'
+            };
+
+            const to = event.type === 'payment_intent.payment_failed' ? 'FAILED' : statusMap[pi.status];
+            const data = { stripePaymentIntentId: pi.id };
+            // Authorization expiry is tracked from the first authorization of the intent.
+            if (to === 'AUTHORIZED' && payment.status !== 'AUTHORIZED') Object.assign(data, authorizationData());
+            // Late or replayed events (e.g. amount_capturable_updated after capture) are
+            // recorded and ignored by the state machine instead of moving the payment back.
+            out = to
+              ? await transitionPayment({
+                  paymentId,
+                  to,
+                  actor: { role: 'STRIPE' },
+                  reason: event.type,
+                  metadata: { stripeEventId: event.id, stripeStatus: pi.status },
+                  data,
+                  ignoreOutOfOrder: true
+                })
+              : null;
+            if (!to) await prisma.payment.update({ where: { id: paymentId }, data });
+          }
 
           await auditLog({
             actorId: null,
             entityType: 'Payment',
             entityId: paymentId,
             action: `stripe.webhook.${event.type}`,
-            metadata: { stripePaymentIntentId: pi.id, stripeStatus: pi.status }
+            metadata: { stripePaymentIntentId: pi.id, stripeStatus: pi.status, intent, ignored: intent === 'stale' || !!out?.ignored }
           });
         }
         break;
@@ -88,20 +134,62 @@ export async function stripeWebhookHandler(req, res) {
               stripeChargeId: charge.id
             }
           });
+          await syncChargeAuthorization(charge, paymentId);
+          await recordChargeFee(charge, paymentId);
         }
         break;
       }
+      case 'charge.captured': {
+        const charge = event.data.object;
+        const paymentId = charge.metadata?.paymentId;
+        if (paymentId) await recordChargeFee(charge, paymentId);
+        break;
+      }
       case 'charge.refunded': {
+        // Each refund on the charge is mirrored into the Refund ledger (partial or full).
         const charge = event.data.object;
         const paymentId = charge.metadata?.paymentId;
+        for (const r of charge.refunds?.data || []) {
+          await syncStripeRefund({ payment_intent: charge.payment_intent, ...r }, { paymentId });
+        }
         if (paymentId) {
-          await prisma.payment.update({ where: { id: paymentId }, data: { status: 'REFUNDED' } });
           await auditLog({
             actorId: null,
             entityType: 'Payment',
             entityId: paymentId,
             action: 'stripe.webhook.charge.refunded',
-            metadata: { stripeChargeId: charge.id }
+            metadata: { stripeChargeId: charge.id, amountRefunded: charge.amount_refunded }
+          });
+        }
+        break;
+      }
+      case 'refund.created':
+      case 'refund.updated':
+      case 'refund.failed': {
+        const refund = await syncStripeRefund(event.data.object);
+        if (refund) {
+          await auditLog({
+            actorId: null,
+            entityType: 'Refund',
+            entityId: refund.id,
+            action: `stripe.webhook.${event.type}`,
+            metadata: { stripeRefundId: event.data.object.id, stripeStatus: event.data.object.status }
+          });
+        }
+        break;
+      }
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed': {
+        // Chargebacks freeze the payment; a lost one is booked as a refund (see disputes.js).
+        const dispute = await syncStripeDispute(event.data.object);
+        if (dispute) {
+          await auditLog({
+            actorId: null,
+            entityType: 'Dispute',
+            entityId: dispute.id,
+            action: `stripe.webhook.${event.type}`,
+            metadata: { stripeDisputeId: event.data.object.id, stripeStatus: event.data.object.status, reason: event.data.object.reason }
           });
         }
         break;
@@ -0,0 +1,111 @@
+import { asyncRouter } from '../asyncRouter.js';
+import { z } from 'zod';
+import { prisma } from '../prisma.js';
+import { authRequired, requireRole } from '../auth.js';
+import { auditLog } from '../services/audit.js';
+import { buildTripComponents } from '../services/trips.js';
+import { isSupportedCurrency } from '../services/money.js';
+
+const router = asyncRouter();
+
+// Patient: bundle accepted quotations (clinic + hotel/transport/tour) into one trip.
+const componentSchema = z.object({
+  quotationId: z.string().min(1),
+  startDate: z.string().datetime(),
+  endDate: z.string().datetime(),
+  description: z.string().max(500).optional()
+});
+
+const createSchema = z.object({
+  name: z.string().max(200).optional(),
+  currency: z.string().length(3).refine(isSupportedCurrency, 'Unsupported currency'),
+  components: z.array(componentSchema).min(1).max(10)
+});
+
+router.post('/', authRequired, requireRole('USER'), async (req, res) => {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'validation', details: parsed.error.flatten() });
+
+  const ids = parsed.data.components.map((c) => c.quotationId);
+  if (new Set(ids).size !== ids.length) return res.status(400).json({ error: 'duplicate_quotation' });
+
+  // Checks and create in one transaction, under locks on the quotations.
+  let trip;
+  try {
+    trip = await prisma.$transaction(async (tx) => {
+      const components = await buildTripComponents({
+        userId: req.user.sub,
+        currency: parsed.data.currency,
+        components: parsed.data.components,
+        db: tx
+      });
+      return tx.tripPackage.create({
+        data: {
+          userId: req.user.sub,
+          name: parsed.data.name || null,
+          currency: parsed.data.currency.toUpperCase(),
+          totalCents: components.reduce((sum, c) => sum + c.amountCents, 0),
+          startDate: new Date(Math.min(...components.map((c) => c.startDate.getTime()))),
+          endDate: new Date(Math.max(...components.map((c) => c.endDate.getTime()))),
+          components: { create: components }
+        },
+        include: { components: { include: { provider: true } } }
+      });
+    });
+  } catch (e) {
+    const status = e.code === 'quotation_not_found' ? 404 : e.code === 'forbidden' ? 403 : 400;
+    return res.status(status).json({ error: e.code || 'trip_error', ...(e.details || {}) });
+  }
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'TripPackage',
+    entityId: trip.id,
+    action: 'trip.created',
+    metadata: { totalCents: trip.totalCents, currency: trip.currency, quotationIds: ids }
+  });
+
+  return res.json(trip);
+});
+
+router.get('/me', authRequired, requireRole('USER'), async (req, res) => {
+  const list = await prisma.tripPackage.findMany({
+    where: { userId: req.user.sub },
+    include: { components: { include: { provider: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+  return res.json(list);
+});
+
+router.get('/:id', authRequired, async (req, res) => {
+  const trip = await prisma.tripPackage.findUnique({
+    where: { id: req.params.id },
+    include: { components: { include: { provider: true, offer: { include: { lineItems: true } } } }, payments: true }
+  });
+  if (!trip) return res.status(404).json({ error: 'not_found' });
+  if (trip.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
+  return res.json(trip);
+});
+
+// Patient: cancel an unpaid trip (its quotations become bundleable again).
+router.post('/:id/cancel', authRequired, async (req, res) => {
+  const trip = await prisma.tripPackage.findUnique({ where: { id: req.params.id }, include: { payments: true } });
+  if (!trip) return res.status(404).json({ error: 'not_found' });
+  if (trip.userId !== req.user.sub && req.user.role !== 'ADMIN') return res.status(403).json({ error: 'forbidden' });
+  if (trip.status !== 'ACTIVE') return res.status(400).json({ error: 'bad_status' });
+  if (trip.payments.some((p) => p.status !== 'FAILED')) return res.status(400).json({ error: 'trip_has_payments' });
+
+  const updated = await prisma.tripPackage.update({ where: { id: trip.id }, data: { status: 'CANCELLED' } });
+
+  await auditLog({
+    actorId: req.user.sub,
+    entityType: 'TripPackage',
+    entityId: trip.id,
+    action: 'trip.cancelled'
+  });
+
+  return res.json(updated);
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+
+// Medical documents and images attached to quotations and disputes.
+// extension -> allowed MIME types
+export const ATTACHMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+  '.heic': ['image/heic', 'image/heif'],
+  '.dcm': ['application/dicom', 'application/octet-stream']
+};
+
+/**
+ * Upload middleware storing `files` under <uploadDir>/<area>/<req.params.id>/ with random
+ * names. Multer errors become 400 responses instead of 500s.
+ */
+export function attachmentUploader(area) {
+  const root = path.join(config.uploadDir, area);
+  fs.mkdirSync(root, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(root, req.params.id);
+        fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+      },
+      filename: (req, file, cb) => cb(null, uuidv4() + path.extname(file.originalname || '').toLowerCase())
+    }),
+    limits: { fileSize: config.attachmentMaxBytes, files: config.attachmentMaxFiles },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').toLowerCase();
+      if (!ATTACHMENT_TYPES[ext]?.includes(file.mimetype)) {
+        const err = new Error(`File type not allowed: ${ext || 'none'} (${file.mimetype})`);
+        err.code = 'file_type_not_allowed';
+        return cb(err);
+      }
+      return cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.array('files', config.attachmentMaxFiles)(req, res, (err) => {
+      if (!err) return next();
+      const code = err.code === 'LIMIT_FILE_SIZE' ? 'file_too_large'
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE' ? 'too_many_files'
+        : err.code || 'upload_failed';
+      return res.status(400).json({ error: code, message: err.message });
+    });
+  };
+}
+
+// Sends a stored attachment as a private download.
+export function sendAttachment(res, att) {
+  res.setHeader('Content-Type', att.mimeType);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.download(path.resolve(att.storagePath), att.fileName, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'file_missing' });
+  });
+}
@@ -0,0 +1,297 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { stripe, ensureStripeConfigured } from '../stripe.js';
+import { auditLog } from './audit.js';
+import { formatMoney } from './money.js';
+import { transitionPayment } from './paymentStatus.js';
+
+/**
+ * Manual-capture authorizations:
+ * - deposits authorize the card (AUTHORIZED) and are captured later, but Stripe cancels an
+ *   uncaptured PaymentIntent when the authorization lapses (about 7 days for cards)
+ * - authorizationExpiresAt is estimated when the payment is authorized and replaced by the
+ *   charge's capture_before once Stripe reports it
+ * - a periodic job acts authorizationExpiryMarginHours before expiry: WARN (default) notifies
+ *   admins and asks the patient to re-authorize, CAPTURE moves the funds into escrow (HELD)
+ * - a lapsed authorization (payment_intent.canceled) fails the payment and asks the patient
+ *   to re-authorize
+ * - re-authorization: the patient confirms a new PaymentIntent (reauthPaymentIntentId); once it
+ *   is authorized it replaces the old one, which is cancelled
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// PaymentIntent states in which the patient still has to confirm it.
+const CONFIRMABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+function authorizationError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+// Payment fields recorded when a PaymentIntent is authorized (estimated expiry).
+export function authorizationData(now = new Date()) {
+  return {
+    authorizedAt: now,
+    authorizationExpiresAt: new Date(now.getTime() + config.authorizationValidityHours * HOUR_MS),
+    authorizationWarnedAt: null,
+    authorizationExpiredAt: null
+  };
+}
+
+// Which of the payment's PaymentIntents an event is about: its current one, a pending
+// re-authorization, or one it no longer uses (superseded, or a webhook for another intent).
+export function paymentIntentRole(payment, pi) {
+  if (payment.reauthPaymentIntentId === pi.id) return 'reauthorization';
+  if (!payment.stripePaymentIntentId || payment.stripePaymentIntentId === pi.id) return 'current';
+  return 'stale';
+}
+
+// charge.succeeded for an uncaptured charge: Stripe's capture deadline replaces the estimate.
+export async function syncChargeAuthorization(charge, paymentId) {
+  const captureBefore = charge.payment_method_details?.card?.capture_before;
+  if (charge.captured || !captureBefore) return;
+  await prisma.payment.updateMany({
+    where: { id: paymentId, stripePaymentIntentId: String(charge.payment_intent), status: 'AUTHORIZED' },
+    data: { authorizationExpiresAt: new Date(captureBefore * 1000) }
+  });
+}
+
+async function notifyAdmins({ type, title, body }) {
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+  for (const a of admins) {
+    await prisma.notification.create({ data: { userId: a.id, type, title, body } });
+  }
+}
+
+async function askPatientToReauthorize(payment, body) {
+  await prisma.notification.create({
+    data: {
+      userId: payment.userId,
+      type: 'payment.reauthorization_required',
+      title: 'Please re-authorize your payment',
+      body
+    }
+  });
+}
+
+/**
+ * Captures an authorized payment (admin capture, or the expiry job), moving it to HELD.
+ * Throws payment_not_found / missing_stripe_pi / bad_status / stripe_capture_failed, or
+ * transition errors (see paymentStatus.js).
+ */
+export async function captureAuthorization({ paymentId, actor, reason }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw authorizationError('payment_not_found');
+  if (!payment.stripePaymentIntentId) throw authorizationError('missing_stripe_pi');
+  if (payment.status !== 'AUTHORIZED') throw authorizationError('bad_status');
+  ensureStripeConfigured();
+
+  let pi;
+  try {
+    pi = await stripe.paymentIntents.capture(payment.stripePaymentIntentId);
+  } catch (e) {
+    throw authorizationError('stripe_capture_failed', e.message);
+  }
+
+  // The payment_intent.succeeded webhook may already have moved it to HELD; then only capturedAt is set.
+  const { payment: updated } = await transitionPayment({
+    paymentId: payment.id,
+    to: 'HELD',
+    actor,
+    reason,
+    metadata: { stripePaymentIntentId: pi.id },
+    data: { capturedAt: new Date() }
+  });
+
+  await auditLog({
+    actorId: actor.id ?? null,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: 'stripe.payment_intent.captured',
+    metadata: { stripePaymentIntentId: pi.id, authorizationExpiresAt: payment.authorizationExpiresAt }
+  });
+  return updated;
+}
+
+/**
+ * payment_intent.canceled for the payment's current PaymentIntent. A lapsed authorization
+ * (cancellation_reason automatic, or past authorizationExpiresAt) fails the payment and asks
+ * the patient to re-authorize; other cancellations only fail it.
+ */
+export async function handlePaymentIntentCanceled(payment, pi) {
+  const now = new Date();
+  const lapsed = pi.cancellation_reason === 'automatic' || (!!payment.authorizationExpiresAt && payment.authorizationExpiresAt <= now);
+  const out = await transitionPayment({
+    paymentId: payment.id,
+    to: 'FAILED',
+    actor: { role: 'STRIPE' },
+    reason: lapsed ? 'Authorization expired' : 'payment_intent.canceled',
+    metadata: { stripePaymentIntentId: pi.id, cancellationReason: pi.cancellation_reason },
+    data: lapsed ? { authorizationExpiredAt: now, reauthorizationRequestedAt: now } : {},
+    ignoreOutOfOrder: true
+  });
+  if (!out.changed || !lapsed) return out;
+
+  await askPatientToReauthorize(
+    out.payment,
+    `The card authorization for ${formatMoney(payment.amountCents, payment.currency)} (payment ${payment.id}) expired before it was captured. Please confirm a new authorization to keep your booking.`
+  );
+  await notifyAdmins({
+    type: 'payment.authorization_expired',
+    title: 'Card authorization expired',
+    body: `The authorization of payment ${payment.id} (${formatMoney(payment.amountCents, payment.currency)}) lapsed; the patient was asked to re-authorize.`
+  });
+  return out;
+}
+
+/**
+ * The patient's new PaymentIntent is authorized: it becomes the payment's PaymentIntent and
+ * the old authorization is cancelled. When the payment moved on meanwhile (e.g. the old
+ * authorization was captured), the new one is cancelled instead.
+ */
+export async function activateReauthorization(payment, pi) {
+  const previous = payment.stripePaymentIntentId;
+  const out = await transitionPayment({
+    paymentId: payment.id,
+    to: 'AUTHORIZED',
+    actor: { role: 'STRIPE' },
+    reason: 'Re-authorized by patient',
+    metadata: { stripePaymentIntentId: pi.id, previousPaymentIntentId: previous },
+    data: {
+      ...authorizationData(),
+      stripePaymentIntentId: pi.id,
+      reauthPaymentIntentId: null,
+      reauthorizationRequestedAt: null
+    },
+    ignoreOutOfOrder: true
+  });
+
+  const cancelId = out.ignored ? pi.id : previous;
+  if (out.ignored) {
+    await prisma.payment.update({ where: { id: payment.id }, data: { reauthPaymentIntentId: null } });
+  }
+  if (cancelId && stripe) {
+    // The old authorization is usually already lapsed; cancelling it then fails harmlessly.
+    await stripe.paymentIntents.cancel(cancelId).catch(() => null);
+  }
+
+  await auditLog({
+    actorId: null,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: out.ignored ? 'payment.reauthorization.discarded' : 'payment.reauthorization.completed',
+    metadata: { stripePaymentIntentId: pi.id, previousPaymentIntentId: previous, status: out.payment.status }
+  });
+  return out;
+}
+
+/**
+ * Patient: the PaymentIntent to confirm for a requested re-authorization (a pending one is
+ * reused while it still awaits confirmation). Throws payment_not_found / forbidden /
+ * payments_mode_not_stripe / bad_status / reauthorization_not_requested.
+ * Returns { payment, stripe: { paymentIntentId, clientSecret } }.
+ */
+export async function createReauthorizationIntent({ paymentId, userId }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw authorizationError('payment_not_found');
+  if (payment.userId !== userId) throw authorizationError('forbidden');
+  if (config.paymentsMode !== 'STRIPE') throw authorizationError('payments_mode_not_stripe');
+  if (!['AUTHORIZED', 'FAILED'].includes(payment.status)) throw authorizationError('bad_status');
+  if (!payment.reauthorizationRequestedAt) throw authorizationError('reauthorization_not_requested');
+  ensureStripeConfigured();
+
+  if (payment.reauthPaymentIntentId) {
+    const pending = await stripe.paymentIntents.retrieve(payment.reauthPaymentIntentId);
+    if (CONFIRMABLE_INTENT_STATUSES.includes(pending.status)) {
+      return { payment, stripe: { paymentIntentId: pending.id, clientSecret: pending.client_secret } };
+    }
+  }
+
+  const pi = await stripe.paymentIntents.create({
+    amount: payment.amountCents,
+    currency: payment.currency.toLowerCase(),
+    capture_method: 'manual',
+    metadata: {
+      paymentId: payment.id,
+      userId: payment.userId,
+      quotationId: payment.quotationId || '',
+      offerId: payment.offerId || '',
+      tripPackageId: payment.tripPackageId || '',
+      fxRateLockId: payment.fxRateLockId || '',
+      application_fee_cents: String(payment.platformFeeCents ?? 0),
+      reauthorizes: payment.stripePaymentIntentId || ''
+    }
+  });
+
+  const updated = await prisma.payment.update({ where: { id: payment.id }, data: { reauthPaymentIntentId: pi.id } });
+  await auditLog({
+    actorId: userId,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: 'payment.reauthorization.started',
+    metadata: { stripePaymentIntentId: pi.id, previousPaymentIntentId: payment.stripePaymentIntentId }
+  });
+  return { payment: updated, stripe: { paymentIntentId: pi.id, clientSecret: pi.client_secret } };
+}
+
+// Warns admins and asks the patient to re-authorize; false when another run already warned.
+async function warnExpiringAuthorization(p, now, failure) {
+  const res = await prisma.payment.updateMany({
+    where: { id: p.id, status: 'AUTHORIZED', authorizationWarnedAt: null },
+    data: { authorizationWarnedAt: now, reauthorizationRequestedAt: now }
+  });
+  if (!res.count) return false;
+
+  const due = p.authorizationExpiresAt.toISOString().slice(0, 16).replace('T', ' ');
+  await notifyAdmins({
+    type: 'payment.authorization_expiring',
+    title: 'Card authorization about to expire',
+    body: `Payment ${p.id} (${formatMoney(p.amountCents, p.currency)}) must be captured before ${due} UTC${failure ? ` (automatic capture failed: ${failure})` : ''}. The patient was asked to re-authorize.`
+  });
+  await askPatientToReauthorize(
+    p,
+    `The card authorization for ${formatMoney(p.amountCents, p.currency)} (payment ${p.id}) expires on ${due} UTC. Please confirm a new authorization to keep your booking.`
+  );
+  return true;
+}
+
+/**
+ * Captures (or warns about, per authorizationExpiryAction) authorizations expiring within
+ * authorizationExpiryMarginHours. A failed capture falls back to the warning.
+ * Returns { captured, warned, failed: [{ paymentId, error }] }.
+ */
+export async function runAuthorizationExpiryJobs({ limit = 100 } = {}) {
+  const now = new Date();
+  const candidates = await prisma.payment.findMany({
+    where: {
+      status: 'AUTHORIZED',
+      authorizationWarnedAt: null,
+      authorizationExpiresAt: { lte: new Date(now.getTime() + config.authorizationExpiryMarginHours * HOUR_MS) }
+    },
+    orderBy: { authorizationExpiresAt: 'asc' },
+    take: limit
+  });
+
+  let captured = 0;
+  let warned = 0;
+  const failed = [];
+  for (const p of candidates) {
+    let failure = null;
+    if (config.authorizationExpiryAction === 'CAPTURE') {
+      try {
+        await captureAuthorization({ paymentId: p.id, actor: { role: 'SYSTEM' }, reason: 'Authorization about to expire' });
+        captured++;
+        continue;
+      } catch (e) {
+        if (!e.code) throw e;
+        failure = e.code;
+        failed.push({ paymentId: p.id, error: e.code });
+      }
+    }
+    if (await warnExpiringAuthorization(p, now, failure)) warned++;
+  }
+
+  return { captured, warned, failed };
+}
@@ -0,0 +1,228 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { convertMinorAmount } from './fx.js';
+import { convertMinor, moneyView } from './money.js';
+import { splitByProvider } from './trips.js';
+import { syncProcessingFee } from './ledger.js';
+
+/**
+ * Platform commission and fee splitting.
+ *
+ * When a payment is created its fee breakdown is computed and stored (feeBreakdown):
+ * for each provider share of the charge, gross - commission - processing fee = net.
+ * Amounts are in the settlement currency (the offer currency for FX-locked payments).
+ * Payouts are scheduled from the stored net shares; payments without a breakdown
+ * (created before commissions existed) still pay out gross.
+ *
+ * Processing fees are estimated from STRIPE_FEE_PERCENT_BPS / STRIPE_FEE_FIXED_CENTS
+ * (USD, converted) and replaced by the actual Stripe fee when the charge reports it.
+ * MOCK payments have no processor fee.
+ *
+ * Stripe Connect: we use separate charges and transfers (funds stay with the platform
+ * until release), so the transfer is the net payout and the platform keeps the rest;
+ * the commission is recorded as application_fee_cents in PaymentIntent/transfer metadata.
+ */
+
+// Higher wins; a rule only matches if all of its selectors match.
+const SPECIFICITY = { providerId: 4, category: 2, providerType: 1 };
+
+function ruleMatches(rule, { providerId, providerType, category }) {
+  return (
+    (!rule.providerId || rule.providerId === providerId) &&
+    (!rule.providerType || rule.providerType === providerType) &&
+    (!rule.category || rule.category === category)
+  );
+}
+
+function specificity(rule) {
+  return Object.entries(SPECIFICITY).reduce((s, [field, weight]) => s + (rule[field] ? weight : 0), 0);
+}
+
+// The most specific active rule for a provider share (latest update breaks ties), or null.
+export function findCommissionRule(rules, share) {
+  return (
+    rules
+      .filter((r) => r.active && ruleMatches(r, share))
+      .sort((a, b) => specificity(b) - specificity(a) || b.updatedAt - a.updatedAt)[0] || null
+  );
+}
+
+// Fallback when no rule matches (COMMISSION_DEFAULT_PERCENT_BPS, default 0).
+function defaultRule() {
+  return { id: null, percentBps: config.commissionDefaultPercentBps, fixedCents: 0, fixedCurrency: 'USD' };
+}
+
+async function convertFixed(amountMinor, from, to) {
+  if (!amountMinor || from === to) return amountMinor;
+  const fx = await convertMinorAmount({ amountMinor, from, to });
+  return fx.amountMinor;
+}
+
+// Estimated card processing fee for a charge, in the charge currency.
+export async function estimateProcessingFee(amountCents, currency) {
+  if (config.paymentsMode !== 'STRIPE') return 0;
+  let fixed = config.stripeFeeFixedCents;
+  try {
+    fixed = await convertFixed(fixed, 'USD', currency);
+  } catch (e) {
+    if (e.code !== 'fx_rate_missing') throw e;
+    fixed = 0;
+  }
+  return Math.round((amountCents * config.stripeFeePercentBps) / 10000) + fixed;
+}
+
+// Provider shares of a payment before fees: [{ providerId, providerType, category, amountCents }].
+// Needs quotation (provider, procedure) and tripPackage (components with quotation.procedure).
+export function grossShares(payment) {
+  if (payment.tripPackage) {
+    const components = payment.tripPackage.components;
+    return splitByProvider(components).map((s) => {
+      const c = components.find((x) => x.providerId === s.providerId);
+      return { ...s, providerType: c.type, category: c.quotation?.procedure?.category ?? null };
+    });
+  }
+  if (payment.quotation?.provider) {
+    return [
+      {
+        providerId: payment.quotation.provider.id,
+        providerType: payment.quotation.provider.type,
+        category: payment.quotation.procedure?.category ?? null,
+        amountCents: payment.settlementAmountCents ?? payment.amountCents
+      }
+    ];
+  }
+  return [];
+}
+
+export const FEE_PAYMENT_INCLUDE = {
+  quotation: { include: { provider: true, procedure: true } },
+  tripPackage: { include: { components: { include: { quotation: { include: { procedure: true } } } } } }
+};
+
+/**
+ * Computes the fee breakdown of a payment (loaded with FEE_PAYMENT_INCLUDE).
+ * `processingFeeCents` is in the charge currency; defaults to the estimate.
+ */
+export async function computeFeeBreakdown(payment, { processingFeeCents } = {}) {
+  const currency = payment.settlementCurrency ?? payment.currency;
+  const shares = grossShares(payment);
+  const rules = await prisma.commissionRule.findMany({ where: { active: true } });
+
+  // Processing fee in the settlement currency, split across providers by gross share.
+  const chargeFee = processingFeeCents ?? (await estimateProcessingFee(payment.amountCents, payment.currency));
+  const fee = payment.settlementCurrency && payment.fxRate ? convertMinor(chargeFee, payment.currency, currency, 1 / payment.fxRate) : chargeFee;
+  const gross = shares.reduce((s, x) => s + x.amountCents, 0);
+
+  let feeLeft = fee;
+  const out = [];
+  for (const [idx, s] of shares.entries()) {
+    const rule = findCommissionRule(rules, s) || defaultRule();
+    const fixed = await convertFixed(rule.fixedCents, rule.fixedCurrency, currency);
+    const commission = Math.min(s.amountCents, Math.round((s.amountCents * rule.percentBps) / 10000) + fixed);
+    const share = idx === shares.length - 1 ? feeLeft : gross ? Math.round((fee * s.amountCents) / gross) : 0;
+    feeLeft -= share;
+    const processing = Math.min(s.amountCents - commission, share);
+
+    out.push({
+      providerId: s.providerId,
+      providerType: s.providerType,
+      category: s.category,
+      ruleId: rule.id,
+      percentBps: rule.percentBps,
+      grossCents: s.amountCents,
+      commissionCents: commission,
+      processingFeeCents: processing,
+      netCents: s.amountCents - commission - processing
+    });
+  }
+
+  const sum = (field) => out.reduce((s, x) => s + x[field], 0);
+  return {
+    currency,
+    grossCents: gross,
+    commissionCents: sum('commissionCents'),
+    processingFeeCents: sum('processingFeeCents'),
+    netCents: sum('netCents'),
+    processingFeeSource: processingFeeCents === undefined ? 'ESTIMATE' : 'STRIPE',
+    shares: out
+  };
+}
+
+// Computes and stores a payment's fee breakdown. Returns the updated payment.
+// Pass a transaction client as `db` to store it together with a new payment.
+export async function applyFeeBreakdown(paymentId, opts, db = prisma) {
+  const payment = await db.payment.findUnique({ where: { id: paymentId }, include: FEE_PAYMENT_INCLUDE });
+  const breakdown = await computeFeeBreakdown(payment, opts);
+  return db.payment.update({
+    where: { id: payment.id },
+    data: {
+      feeCurrency: breakdown.currency,
+      platformFeeCents: breakdown.commissionCents,
+      processingFeeCents: breakdown.processingFeeCents,
+      feeBreakdown: breakdown
+    }
+  });
+}
+
+/**
+ * Replaces the estimated processing fee with Stripe's actual fee (charge currency).
+ * Ignored once payouts exist, since they were already scheduled from the estimate.
+ */
+export async function recordProcessingFee(paymentId, feeCents) {
+  const payouts = await prisma.payout.count({ where: { paymentId } });
+  if (payouts) return null;
+  const payment = await applyFeeBreakdown(paymentId, { processingFeeCents: feeCents });
+  await syncProcessingFee(prisma, payment);
+  return payment;
+}
+
+/**
+ * Platform revenue between `from` and `to` (payment creation), per fee currency and
+ * provider type. Commission on refunded payments is counted pro rata to what was kept.
+ */
+export async function revenueReport({ from, to }) {
+  const payments = await prisma.payment.findMany({
+    where: {
+      feeCurrency: { not: null },
+      status: { in: ['HELD', 'RELEASED', 'PARTIALLY_REFUNDED', 'REFUNDED'] },
+      createdAt: { gte: from, lt: to }
+    },
+    select: { amountCents: true, refundedCents: true, feeCurrency: true, feeBreakdown: true }
+  });
+
+  const totals = new Map();
+  const add = (key, base, b, kept) => {
+    const t = totals.get(key) || { ...base, payments: 0, grossCents: 0, commissionCents: 0, processingFeeCents: 0, netCents: 0 };
+    t.payments += 1;
+    t.grossCents += Math.round(b.grossCents * kept);
+    t.commissionCents += Math.round(b.commissionCents * kept);
+    t.processingFeeCents += b.processingFeeCents;
+    t.netCents += Math.round(b.netCents * kept);
+    totals.set(key, t);
+  };
+
+  for (const p of payments) {
+    const kept = (p.amountCents - p.refundedCents) / p.amountCents;
+    add(`currency:${p.feeCurrency}`, { currency: p.feeCurrency, providerType: null }, p.feeBreakdown, kept);
+    for (const s of p.feeBreakdown.shares || []) {
+      add(`type:${p.feeCurrency}:${s.providerType}`, { currency: p.feeCurrency, providerType: s.providerType }, s, kept);
+    }
+  }
+
+  const view = (t) => ({
+    currency: t.currency,
+    ...(t.providerType ? { providerType: t.providerType } : {}),
+    payments: t.payments,
+    gross: moneyView(t.grossCents, t.currency),
+    commission: moneyView(t.commissionCents, t.currency),
+    processingFees: moneyView(t.processingFeeCents, t.currency),
+    providerNet: moneyView(t.netCents, t.currency)
+  });
+  const all = [...totals.values()];
+  return {
+    from,
+    to,
+    byCurrency: all.filter((t) => !t.providerType).map(view),
+    byProviderType: all.filter((t) => t.providerType).map(view)
+  };
+}
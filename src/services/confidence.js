@@ -23,6 +23,22 @@ export function computePriceConfidence({
   const sampleBonus = Math.min(20, Math.floor(Math.log10(Math.max(1, sampleSize)) * 10));
 
   const score = Math.round(Math.max(0, Math.min(100, base - recencyPenalty + sampleBonus)));
-  const label = score >= 80 ? 'HIGH' : score >= 55 ? 'MEDIUM' : 'LOW';
-  return { score, label };
+  return { score, label: confidenceLabel(score) };
+}
+
+function confidenceLabel(score) {
+  return score >= 80 ? 'HIGH' : score >= 55 ? 'MEDIUM' : 'LOW';
+}
+
+/**
+ * Aggregate confidence for a total made of several priced parts.
+ * parts: [{ score, weight }] - weight is typically the part's share of the total.
+ */
+export function combineConfidence(parts) {
+  const totalWeight = parts.reduce((sum, p) => sum + Math.max(0, p.weight), 0);
+  if (!parts.length) return { score: 0, label: 'LOW' };
+  const score = totalWeight > 0
+    ? Math.round(parts.reduce((sum, p) => sum + p.score * Math.max(0, p.weight), 0) / totalWeight)
+    : Math.round(parts.reduce((sum, p) => sum + p.score, 0) / parts.length);
+  return { score, label: confidenceLabel(score) };
 }
@@ -0,0 +1,401 @@
+import { prisma } from '../prisma.js';
+import { auditLog } from './audit.js';
+import { formatMoney } from './money.js';
+import { createRefund, recordChargebackLoss, REFUNDABLE_STATUSES } from './refunds.js';
+import { releasePayment, isReleasable } from './escrowRelease.js';
+
+/**
+ * Disputes:
+ * - a patient opens one against a payment, or against a quotation (covering all of its
+ *   payments), with a reason, messages and evidence attachments
+ * - Stripe chargebacks (charge.dispute.*) create or update a STRIPE dispute; when the patient
+ *   already has an open dispute on that payment, the chargeback is linked to it
+ * - while a dispute is OPEN / UNDER_REVIEW its payments are frozen: no release (manual or
+ *   automatic) and no payouts
+ * - an admin resolves patient disputes: refund, partial refund, release, split (refund part
+ *   and release the rest) or no action; Stripe decides chargebacks (won / lost), a lost one
+ *   is booked as a refund
+ */
+
+export const ACTIVE_DISPUTE_STATUSES = ['OPEN', 'UNDER_REVIEW'];
+
+// Stripe dispute status -> our status while the dispute is still open.
+const STRIPE_OPEN_STATUS = {
+  warning_needs_response: 'OPEN',
+  needs_response: 'OPEN',
+  warning_under_review: 'UNDER_REVIEW',
+  under_review: 'UNDER_REVIEW'
+};
+
+function disputeError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+// Disputes that freeze a payment: against it, or against its quotation.
+function activeDisputeWhere(payment) {
+  const targets = [{ paymentId: payment.id }];
+  if (payment.quotationId) targets.push({ quotationId: payment.quotationId, paymentId: null });
+  return { status: { in: ACTIVE_DISPUTE_STATUSES }, OR: targets };
+}
+
+export async function activeDisputeFor(payment, { ignoreDisputeId = null } = {}) {
+  const where = activeDisputeWhere(payment);
+  if (ignoreDisputeId) where.id = { not: ignoreDisputeId };
+  return prisma.dispute.findFirst({ where });
+}
+
+// Throws payment_disputed when an active dispute freezes the payment.
+export async function assertNotDisputed(payment, opts) {
+  const dispute = await activeDisputeFor(payment, opts);
+  if (dispute) throw disputeError('payment_disputed', `Payment ${payment.id} is frozen by dispute ${dispute.id}.`);
+}
+
+// Ids of every payment currently frozen by a dispute (for the release and payout jobs).
+export async function frozenPaymentIds() {
+  const disputes = await prisma.dispute.findMany({
+    where: { status: { in: ACTIVE_DISPUTE_STATUSES } },
+    select: { paymentId: true, quotationId: true }
+  });
+  const ids = new Set(disputes.filter((d) => d.paymentId).map((d) => d.paymentId));
+  const quotationIds = disputes.filter((d) => !d.paymentId && d.quotationId).map((d) => d.quotationId);
+  if (quotationIds.length) {
+    const payments = await prisma.payment.findMany({ where: { quotationId: { in: quotationIds } }, select: { id: true } });
+    for (const p of payments) ids.add(p.id);
+  }
+  return [...ids];
+}
+
+// Provider profiles involved in a dispute (the quotation's provider, or every provider of a trip payment).
+async function disputeProviders(dispute) {
+  const quotationId = dispute.quotationId ?? dispute.payment?.quotationId;
+  if (quotationId) {
+    const q = await prisma.quotationRequest.findUnique({ where: { id: quotationId }, include: { provider: true } });
+    return q ? [q.provider] : [];
+  }
+  if (dispute.payment?.tripPackageId) {
+    const components = await prisma.tripComponent.findMany({
+      where: { packageId: dispute.payment.tripPackageId },
+      include: { provider: true }
+    });
+    return [...new Map(components.map((c) => [c.provider.id, c.provider])).values()];
+  }
+  return [];
+}
+
+/**
+ * How the caller relates to a dispute: 'USER' (the patient), 'PROVIDER' (an involved provider)
+ * or 'ADMIN'. Returns null when there is no access.
+ */
+export async function disputeParty(user, dispute) {
+  if (user.role === 'ADMIN') return 'ADMIN';
+  if (user.role === 'USER') {
+    const patientId = dispute.payment?.userId ?? dispute.quotation?.userId;
+    return patientId === user.sub ? 'USER' : null;
+  }
+  if (user.role === 'PROVIDER') {
+    const profile = await prisma.providerProfile.findUnique({ where: { userId: user.sub } });
+    if (!profile) return null;
+    return (await disputeProviders(dispute)).some((p) => p.id === profile.id) ? 'PROVIDER' : null;
+  }
+  return null;
+}
+
+export const DISPUTE_INCLUDE = { payment: true, quotation: true };
+
+async function notify(userIds, { type, title, body }) {
+  for (const userId of new Set(userIds)) {
+    await prisma.notification.create({ data: { userId, type, title, body } });
+  }
+}
+
+async function adminIds() {
+  return (await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } })).map((a) => a.id);
+}
+
+// Notifies everyone on a dispute except `exceptUserId`.
+async function notifyParties(dispute, message, { exceptUserId = null, admins = true } = {}) {
+  const patientId = dispute.payment?.userId ?? dispute.quotation?.userId;
+  const providers = await disputeProviders(dispute);
+  const ids = [patientId, ...providers.map((p) => p.userId), ...(admins ? await adminIds() : [])];
+  await notify(ids.filter((id) => id && id !== exceptUserId), message);
+}
+
+/**
+ * Patient opens a dispute against one of their payments or quotations.
+ * Throws payment_not_found / quotation_not_found, forbidden, bad_status, dispute_exists.
+ */
+export async function openDispute({ userId, paymentId, quotationId, reason, description = null }) {
+  let payment = null;
+  let quotation = null;
+  if (paymentId) {
+    payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+    if (!payment) throw disputeError('payment_not_found');
+    if (payment.userId !== userId) throw disputeError('forbidden');
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) throw disputeError('bad_status', 'Only captured payments can be disputed.');
+  } else {
+    quotation = await prisma.quotationRequest.findUnique({ where: { id: quotationId } });
+    if (!quotation) throw disputeError('quotation_not_found');
+    if (quotation.userId !== userId) throw disputeError('forbidden');
+  }
+
+  const existing = await prisma.dispute.findFirst({
+    where: payment ? activeDisputeWhere(payment) : { status: { in: ACTIVE_DISPUTE_STATUSES }, quotationId: quotation.id }
+  });
+  if (existing) throw disputeError('dispute_exists', `Dispute ${existing.id} is already open.`);
+
+  // A dispute on a payment keeps the quotation for context but only freezes that payment.
+  const dispute = await prisma.dispute.create({
+    data: {
+      source: 'PATIENT',
+      paymentId: payment?.id ?? null,
+      quotationId: payment?.quotationId ?? quotation.id,
+      openedById: userId,
+      reason,
+      description
+    },
+    include: DISPUTE_INCLUDE
+  });
+  await auditLog({
+    actorId: userId,
+    entityType: 'Dispute',
+    entityId: dispute.id,
+    action: 'dispute.opened',
+    metadata: { paymentId: dispute.paymentId, quotationId: dispute.quotationId, reason }
+  });
+  await notifyParties(
+    dispute,
+    {
+      type: 'dispute.opened',
+      title: 'Dispute opened',
+      body: `A dispute was opened on ${dispute.paymentId ? `payment ${dispute.paymentId}` : `quotation ${dispute.quotationId}`}: ${reason}. Release and payouts are on hold until it is resolved.`
+    },
+    { exceptUserId: userId }
+  );
+  return dispute;
+}
+
+export async function addDisputeMessage({ dispute, senderId, body }) {
+  const message = await prisma.disputeMessage.create({ data: { disputeId: dispute.id, senderId, body } });
+  await notifyParties(
+    dispute,
+    { type: 'dispute.message', title: 'New message on a dispute', body: `Dispute ${dispute.id}: ${body.slice(0, 200)}` },
+    { exceptUserId: senderId }
+  );
+  return message;
+}
+
+// Admin takes a dispute into review.
+export async function reviewDispute({ disputeId, actorId }) {
+  const res = await prisma.dispute.updateMany({ where: { id: disputeId, status: 'OPEN' }, data: { status: 'UNDER_REVIEW' } });
+  if (!res.count) throw disputeError('bad_status');
+  await auditLog({ actorId, entityType: 'Dispute', entityId: disputeId, action: 'dispute.under_review', metadata: null });
+  return prisma.dispute.findUnique({ where: { id: disputeId }, include: DISPUTE_INCLUDE });
+}
+
+// Patient withdraws their own dispute (not Stripe chargebacks): the funds are unfrozen.
+export async function withdrawDispute({ dispute, actorId }) {
+  if (dispute.source !== 'PATIENT' || dispute.stripeDisputeId) throw disputeError('stripe_dispute', 'Chargebacks are settled by Stripe.');
+  const res = await prisma.dispute.updateMany({
+    where: { id: dispute.id, status: { in: ACTIVE_DISPUTE_STATUSES } },
+    data: { status: 'WITHDRAWN', resolvedAt: new Date(), resolvedById: actorId }
+  });
+  if (!res.count) throw disputeError('bad_status');
+  await auditLog({ actorId, entityType: 'Dispute', entityId: dispute.id, action: 'dispute.withdrawn', metadata: null });
+  await notifyParties(
+    dispute,
+    { type: 'dispute.withdrawn', title: 'Dispute withdrawn', body: `Dispute ${dispute.id} was withdrawn by the patient.` },
+    { exceptUserId: actorId }
+  );
+  return prisma.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+}
+
+/**
+ * Admin resolution of a patient dispute. REFUND / PARTIAL_REFUND / SPLIT refund through the
+ * refund ledger (refundCents for partial and split); RELEASE / SPLIT release the held funds.
+ * Quotation-level disputes name the payment to act on (`paymentId`).
+ * The dispute is claimed (RESOLVED) before any money moves, so concurrent or repeated
+ * resolutions cannot refund twice; a refund that fails reopens it. Refund and release errors
+ * propagate with their codes. Returns the resolved dispute.
+ */
+export async function resolveDispute({ disputeId, actorId, resolution, refundCents = null, paymentId = null, note = null }) {
+  const dispute = await prisma.dispute.findUnique({ where: { id: disputeId }, include: DISPUTE_INCLUDE });
+  if (!dispute) throw disputeError('not_found');
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) throw disputeError('bad_status');
+  if (dispute.stripeDisputeId) throw disputeError('stripe_dispute', 'Chargebacks are settled by Stripe (charge.dispute.closed).');
+
+  let payment = null;
+  if (resolution !== 'NO_ACTION') {
+    const targetId = dispute.paymentId ?? paymentId;
+    if (!targetId) throw disputeError('payment_required', 'Name the payment to refund or release.');
+    payment = await prisma.payment.findUnique({ where: { id: targetId } });
+    if (!payment || (!dispute.paymentId && payment.quotationId !== dispute.quotationId)) throw disputeError('payment_not_found');
+  }
+  if (['PARTIAL_REFUND', 'SPLIT'].includes(resolution) && !refundCents) throw disputeError('refund_amount_required');
+  if (resolution === 'RELEASE' && !isReleasable(payment) && !payment.providerReleasedAt) {
+    throw disputeError('bad_status', `Payment is ${payment.status} and cannot be released.`);
+  }
+
+  const resolvedAt = new Date();
+  const claim = await prisma.dispute.updateMany({
+    where: { id: dispute.id, status: { in: ACTIVE_DISPUTE_STATUSES } },
+    data: { status: 'RESOLVED', resolution, resolutionNote: note, resolvedById: actorId, resolvedAt }
+  });
+  if (!claim.count) throw disputeError('bad_status');
+
+  let refund = null;
+  if (['REFUND', 'PARTIAL_REFUND', 'SPLIT'].includes(resolution)) {
+    try {
+      ({ refund } = await createRefund({
+        paymentId: payment.id,
+        amountCents: resolution === 'REFUND' ? null : refundCents,
+        reason: `Dispute ${dispute.id}: ${note || dispute.reason}`,
+        actorId,
+        // One Stripe refund per resolution of this dispute.
+        idempotencyKey: `dispute_${dispute.id}_${resolvedAt.getTime()}`
+      }));
+    } catch (e) {
+      // Nothing was refunded: reopen the dispute so the admin can try again.
+      await prisma.dispute.updateMany({
+        where: { id: dispute.id, status: 'RESOLVED', resolvedAt },
+        data: { status: dispute.status, resolution: null, resolutionNote: null, resolvedById: null, resolvedAt: null }
+      });
+      throw e;
+    }
+    await prisma.dispute.update({ where: { id: dispute.id }, data: { refundId: refund.id } });
+  }
+  if (['RELEASE', 'SPLIT'].includes(resolution)) {
+    const current = await prisma.payment.findUnique({ where: { id: payment.id } });
+    if (isReleasable(current)) {
+      try {
+        await releasePayment({
+          paymentId: current.id,
+          actor: { id: actorId, role: 'ADMIN' },
+          reason: `Dispute ${dispute.id} resolved`,
+          label: 'dispute resolved',
+          ignoreDisputeId: dispute.id
+        });
+      } catch (e) {
+        // The refund (if any) stands and the payment is no longer frozen: release it manually.
+        await auditLog({
+          actorId,
+          entityType: 'Dispute',
+          entityId: dispute.id,
+          action: 'dispute.release_failed',
+          metadata: { resolution, paymentId: current.id, refundId: refund?.id ?? null, error: e.code ?? e.message }
+        });
+        throw e;
+      }
+    }
+  }
+
+  const resolved = await prisma.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+  await auditLog({
+    actorId,
+    entityType: 'Dispute',
+    entityId: dispute.id,
+    action: 'dispute.resolved',
+    metadata: { resolution, paymentId: payment?.id ?? null, refundId: refund?.id ?? null, refundCents: refund?.amountCents ?? null, note }
+  });
+
+  const outcome = refund
+    ? `${formatMoney(refund.amountCents, refund.currency)} refunded${resolution === 'SPLIT' ? ', the rest released to the provider' : ''}`
+    : resolution === 'RELEASE' ? 'funds released to the provider' : 'no payment change';
+  await notifyParties(
+    resolved,
+    { type: 'dispute.resolved', title: 'Dispute resolved', body: `Dispute ${dispute.id} was resolved: ${outcome}.${note ? ` ${note}` : ''}` },
+    { exceptUserId: actorId, admins: false }
+  );
+  return resolved;
+}
+
+/**
+ * Mirrors a Stripe dispute (charge.dispute.created / updated / closed). A lost chargeback is
+ * booked as a refund. Returns the local dispute, or null when the charge isn't ours.
+ */
+export async function syncStripeDispute(sd) {
+  let dispute = await prisma.dispute.findUnique({ where: { stripeDisputeId: sd.id }, include: DISPUTE_INCLUDE });
+  if (!dispute) {
+    const or = [];
+    if (sd.payment_intent) or.push({ stripePaymentIntentId: String(sd.payment_intent) });
+    if (sd.charge) or.push({ stripeChargeId: String(sd.charge) });
+    const payment = or.length ? await prisma.payment.findFirst({ where: { OR: or } }) : null;
+    if (!payment) return null;
+
+    const data = {
+      stripeDisputeId: sd.id,
+      stripeStatus: sd.status,
+      amountCents: sd.amount,
+      currency: String(sd.currency || payment.currency).toUpperCase(),
+      evidenceDueBy: sd.evidence_details?.due_by ? new Date(sd.evidence_details.due_by * 1000) : null
+    };
+    // Link to the patient's own open dispute on this payment when there is one.
+    const patientDispute = await prisma.dispute.findFirst({
+      where: { ...activeDisputeWhere(payment), source: 'PATIENT', stripeDisputeId: null }
+    });
+    // A quotation-level dispute gets the charged payment, so a lost chargeback is booked against it.
+    dispute = patientDispute
+      ? await prisma.dispute.update({ where: { id: patientDispute.id }, data: { ...data, paymentId: payment.id }, include: DISPUTE_INCLUDE })
+      : await prisma.dispute.create({
+          data: { ...data, source: 'STRIPE', paymentId: payment.id, quotationId: payment.quotationId, reason: sd.reason || 'chargeback' },
+          include: DISPUTE_INCLUDE
+        });
+    await auditLog({
+      actorId: null,
+      entityType: 'Dispute',
+      entityId: dispute.id,
+      action: patientDispute ? 'dispute.chargeback_linked' : 'dispute.chargeback_opened',
+      metadata: { stripeDisputeId: sd.id, amount: sd.amount, reason: sd.reason }
+    });
+    await notify(await adminIds(), {
+      type: 'dispute.chargeback',
+      title: 'Chargeback received',
+      body: `Stripe dispute ${sd.id} (${formatMoney(sd.amount, data.currency)}, ${sd.reason || 'no reason'}) on payment ${payment.id}. Evidence due ${data.evidenceDueBy ? data.evidenceDueBy.toISOString().slice(0, 10) : 'n/a'}.`
+    });
+  }
+
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    return prisma.dispute.update({ where: { id: dispute.id }, data: { stripeStatus: sd.status }, include: DISPUTE_INCLUDE });
+  }
+
+  if (STRIPE_OPEN_STATUS[sd.status]) {
+    return prisma.dispute.update({
+      where: { id: dispute.id },
+      data: { stripeStatus: sd.status, status: STRIPE_OPEN_STATUS[sd.status], amountCents: sd.amount },
+      include: DISPUTE_INCLUDE
+    });
+  }
+
+  // Closed: won / warning_closed keep the money, lost gives it back to the cardholder.
+  const lost = sd.status === 'lost';
+  const refund = lost && dispute.paymentId
+    ? await recordChargebackLoss({ paymentId: dispute.paymentId, amountCents: sd.amount, stripeDisputeId: sd.id })
+    : null;
+  const resolved = await prisma.dispute.update({
+    where: { id: dispute.id },
+    data: {
+      stripeStatus: sd.status,
+      status: 'RESOLVED',
+      resolution: lost ? 'CHARGEBACK_LOST' : 'CHARGEBACK_WON',
+      refundId: refund?.id ?? dispute.refundId,
+      resolvedAt: new Date()
+    },
+    include: DISPUTE_INCLUDE
+  });
+  await auditLog({
+    actorId: null,
+    entityType: 'Dispute',
+    entityId: dispute.id,
+    action: 'dispute.chargeback_closed',
+    metadata: { stripeDisputeId: sd.id, stripeStatus: sd.status, refundId: refund?.id ?? null }
+  });
+  await notifyParties(resolved, {
+    type: 'dispute.resolved',
+    title: lost ? 'Chargeback lost' : 'Chargeback closed',
+    body: lost
+      ? `The card issuer decided chargeback ${sd.id} for the cardholder; ${formatMoney(sd.amount, resolved.currency)} was returned.`
+      : `Chargeback ${sd.id} was closed in our favour; the payment is no longer on hold.`
+  });
+  return resolved;
+}
@@ -0,0 +1,329 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { auditLog } from './audit.js';
+import { formatMoney } from './money.js';
+import { transitionPayment } from './paymentStatus.js';
+import { schedulePayoutForPayment } from './payouts.js';
+import { FEE_PAYMENT_INCLUDE } from './commissions.js';
+import { assertNotDisputed, frozenPaymentIds } from './disputes.js';
+
+/**
+ * Escrow release:
+ * - admin release (POST /payments/release) at any time
+ * - the patient confirms treatment completed: released right away if the policy allows
+ *   early confirmation, otherwise the confirmation is recorded and the job releases later
+ * - a periodic job releases held funds once the hold period is over, after reminding the
+ *   patient, unless the patient reported a problem (releaseFlaggedAt)
+ *
+ * Payments frozen by an open dispute are never released (see disputes.js).
+ * The policy comes from EscrowReleasePolicy per provider type (config defaults otherwise;
+ * automatic release is off by default, see ESCROW_AUTO_RELEASE).
+ * Trip packages spanning several provider types use the strictest of their policies.
+ * Every path ends in schedulePayoutForPayment.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const PROVIDER_TYPES = ['HOTEL', 'CLINIC', 'TOUR', 'TRANSPORT'];
+
+function releaseError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+// Held and not yet released (a partially refunded hold can still be released).
+export function isReleasable(payment) {
+  return payment.status === 'HELD' || (payment.status === 'PARTIALLY_REFUNDED' && !payment.providerReleasedAt);
+}
+
+function defaultPolicy(providerType) {
+  return {
+    providerType,
+    autoRelease: config.escrowAutoReleaseEnabled,
+    holdDays: config.escrowReleaseHoldDays,
+    reminderHours: config.escrowReleaseReminderHours,
+    allowEarlyConfirmation: config.escrowAllowEarlyConfirmation,
+    isDefault: true
+  };
+}
+
+// Effective policy of every provider type (stored row or config default).
+export async function listReleasePolicies() {
+  const stored = await prisma.escrowReleasePolicy.findMany();
+  return PROVIDER_TYPES.map((t) => stored.find((p) => p.providerType === t) || defaultPolicy(t));
+}
+
+function paymentProviderTypes(payment) {
+  if (payment.tripPackage) return [...new Set(payment.tripPackage.components.map((c) => c.type))];
+  if (payment.quotation?.provider) return [payment.quotation.provider.type];
+  return [];
+}
+
+// Combines the policies of a payment's provider types; null for payments without providers.
+function combinePolicies(types, policies) {
+  const applicable = policies.filter((p) => types.includes(p.providerType));
+  if (!applicable.length) return null;
+  return {
+    providerTypes: types,
+    autoRelease: applicable.every((p) => p.autoRelease),
+    holdDays: Math.max(...applicable.map((p) => p.holdDays)),
+    reminderHours: Math.max(...applicable.map((p) => p.reminderHours)),
+    allowEarlyConfirmation: applicable.every((p) => p.allowEarlyConfirmation)
+  };
+}
+
+// Release policy of a payment loaded with FEE_PAYMENT_INCLUDE.
+export async function releasePolicyFor(payment) {
+  return combinePolicies(paymentProviderTypes(payment), await listReleasePolicies());
+}
+
+// When the job may release the payment: the deposit's hold, extended to the policy's minimum.
+export function autoReleaseAt(payment, policy) {
+  const base = payment.providerReleaseEligibleAt ?? payment.escrowHoldUntil;
+  if (!base || !policy) return null;
+  const heldAt = payment.capturedAt ?? payment.createdAt;
+  return new Date(Math.max(base.getTime(), heldAt.getTime() + policy.holdDays * DAY_MS));
+}
+
+// A partially refunded hold keeps its status when released, so there is no transition to
+// record it: claim providerReleasedAt and write the history row and audit entry here.
+async function releasePartiallyRefunded(current, { actor, reason }) {
+  const releasedAt = new Date();
+  return prisma.$transaction(async (tx) => {
+    const res = await tx.payment.updateMany({
+      where: { id: current.id, status: 'PARTIALLY_REFUNDED', providerReleasedAt: null },
+      data: { providerReleasedAt: releasedAt }
+    });
+    if (res.count !== 1) throw releaseError('status_conflict', 'Payment changed concurrently.');
+
+    await tx.paymentStatusHistory.create({
+      data: {
+        paymentId: current.id,
+        fromStatus: current.status,
+        toStatus: current.status,
+        actorId: actor.id || null,
+        actorRole: actor.role,
+        reason
+      }
+    });
+    await tx.auditLog.create({
+      data: {
+        actorId: actor.id || null,
+        entityType: 'Payment',
+        entityId: current.id,
+        action: 'payment.provider_released',
+        metadata: { status: current.status, actorRole: actor.role, reason, providerReleasedAt: releasedAt }
+      }
+    });
+    return tx.payment.findUnique({ where: { id: current.id } });
+  });
+}
+
+/**
+ * Releases a held payment to its providers and schedules their payouts.
+ * `label` explains the release in provider notifications; `ignoreDisputeId` lets the
+ * resolution of that dispute release the funds it froze.
+ * Throws payment_not_found / bad_status / payment_disputed, or transition errors (see paymentStatus.js).
+ * Returns { payment, payouts }.
+ */
+export async function releasePayment({ paymentId, actor, reason, label, ignoreDisputeId = null }) {
+  const current = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!current) throw releaseError('payment_not_found');
+  if (!isReleasable(current)) throw releaseError('bad_status');
+  await assertNotDisputed(current, { ignoreDisputeId });
+
+  const payment =
+    current.status === 'HELD'
+      ? (await transitionPayment({ paymentId: current.id, to: 'RELEASED', actor, reason, data: { providerReleasedAt: new Date() } })).payment
+      : await releasePartiallyRefunded(current, { actor, reason });
+
+  // Schedule provider payout(s) based on configured interval.
+  const payouts = await schedulePayoutForPayment(payment.id);
+
+  for (const p of payouts) {
+    await prisma.notification.create({
+      data: {
+        userId: p.provider.userId,
+        type: 'payment.released',
+        title: 'Escrow released',
+        body: `Payment ${payment.id} has been released (${label}). Payout of ${formatMoney(p.amountCents, p.currency)} scheduled for ${p.scheduledAt.toISOString().slice(0, 10)}.`
+      }
+    });
+  }
+
+  return { payment, payouts };
+}
+
+async function loadPatientPayment(paymentId, userId) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId }, include: FEE_PAYMENT_INCLUDE });
+  if (!payment) throw releaseError('payment_not_found');
+  if (payment.userId !== userId) throw releaseError('forbidden');
+  if (!isReleasable(payment)) throw releaseError('bad_status');
+  return payment;
+}
+
+/**
+ * Patient confirms the treatment was completed. Clears a problem they reported earlier.
+ * Returns { payment, released, payouts, autoReleaseAt }.
+ */
+export async function confirmTreatmentCompleted({ paymentId, userId }) {
+  const payment = await loadPatientPayment(paymentId, userId);
+  const updated = await prisma.payment.update({
+    where: { id: payment.id },
+    data: { patientConfirmedAt: payment.patientConfirmedAt ?? new Date(), releaseFlaggedAt: null, releaseFlagReason: null }
+  });
+  await auditLog({
+    actorId: userId,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: 'payment.treatment_confirmed',
+    metadata: { clearedFlag: !!payment.releaseFlaggedAt }
+  });
+
+  const policy = await releasePolicyFor(payment);
+  if (!policy?.allowEarlyConfirmation) {
+    return { payment: updated, released: false, payouts: [], autoReleaseAt: policy?.autoRelease ? autoReleaseAt(updated, policy) : null };
+  }
+
+  const released = await releasePayment({
+    paymentId: payment.id,
+    actor: { id: userId, role: 'USER' },
+    reason: 'Treatment confirmed by patient',
+    label: 'patient confirmed treatment completed'
+  });
+  return { ...released, released: true, autoReleaseAt: null };
+}
+
+// Patient reports a problem: automatic release stops until an admin clears the flag
+// (or the patient confirms after all). Admins are notified.
+export async function reportReleaseProblem({ paymentId, userId, reason }) {
+  const payment = await loadPatientPayment(paymentId, userId);
+  const updated = await prisma.payment.update({
+    where: { id: payment.id },
+    data: { releaseFlaggedAt: new Date(), releaseFlagReason: reason }
+  });
+  await auditLog({
+    actorId: userId,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: 'payment.release_flagged',
+    metadata: { reason }
+  });
+
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+  for (const a of admins) {
+    await prisma.notification.create({
+      data: {
+        userId: a.id,
+        type: 'payment.release_flagged',
+        title: 'Patient reported a problem',
+        body: `Automatic release of payment ${payment.id} is on hold: ${reason}`
+      }
+    });
+  }
+  return updated;
+}
+
+// Admin: lets the automatic release go ahead again.
+export async function clearReleaseFlag({ paymentId, actorId }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw releaseError('payment_not_found');
+  if (!payment.releaseFlaggedAt) return payment;
+
+  const updated = await prisma.payment.update({ where: { id: payment.id }, data: { releaseFlaggedAt: null, releaseFlagReason: null } });
+  await auditLog({
+    actorId,
+    entityType: 'Payment',
+    entityId: payment.id,
+    action: 'payment.release_flag_cleared',
+    metadata: { reason: payment.releaseFlagReason }
+  });
+  return updated;
+}
+
+// Releases the payment if its hold is over, or reminds the patient shortly before.
+// Returns 'released', 'reminded', { paymentId, error } for a failed release, or null.
+async function processReleaseCandidate(p, policies, now) {
+  const policy = combinePolicies(paymentProviderTypes(p), policies);
+  if (!policy?.autoRelease) return null;
+  const at = autoReleaseAt(p, policy);
+
+  if (at <= now) {
+    try {
+      await releasePayment({
+        paymentId: p.id,
+        actor: { role: 'SYSTEM' },
+        reason: 'Hold period ended',
+        label: p.patientConfirmedAt ? 'patient confirmed treatment completed' : 'hold period ended'
+      });
+      return 'released';
+    } catch (e) {
+      if (!e.code) throw e;
+      return { paymentId: p.id, error: e.code };
+    }
+  }
+
+  if (p.releaseReminderSentAt || p.patientConfirmedAt || at.getTime() - policy.reminderHours * HOUR_MS > now.getTime()) return null;
+  const res = await prisma.payment.updateMany({ where: { id: p.id, releaseReminderSentAt: null }, data: { releaseReminderSentAt: now } });
+  if (!res.count) return null;
+  await prisma.notification.create({
+    data: {
+      userId: p.userId,
+      type: 'payment.release_soon',
+      title: 'Your payment will be released to the provider',
+      body: `${formatMoney(p.amountCents, p.currency)} (payment ${p.id}) will be released on ${at.toISOString().slice(0, 10)}. Confirm your treatment was completed, or report a problem before then.`
+    }
+  });
+  return 'reminded';
+}
+
+/**
+ * Reminds patients before automatic release and releases payments whose hold is over.
+ * `limit` is the page size. Returns { reminded, released, failed: [{ paymentId, error }] }.
+ */
+export async function runEscrowReleaseJobs({ limit = 100 } = {}) {
+  const now = new Date();
+  const policies = await listReleasePolicies();
+  const horizonHours = Math.max(...policies.map((p) => p.reminderHours));
+  const frozen = await frozenPaymentIds();
+
+  // Paged through with a cursor: payments waiting on a longer hold or on a type without
+  // automatic release stay candidates and must not crowd out the ones that are due.
+  const where = {
+    id: { notIn: frozen },
+    AND: [
+      { OR: [{ status: 'HELD' }, { status: 'PARTIALLY_REFUNDED', providerReleasedAt: null }] },
+      // Cancelled bookings are settled by refund or dispute, never paid out automatically.
+      { OR: [{ quotation: { status: { not: 'CANCELLED' } } }, { tripPackage: { status: { not: 'CANCELLED' } } }] }
+    ],
+    releaseFlaggedAt: null,
+    providerReleaseEligibleAt: { lte: new Date(now.getTime() + horizonHours * HOUR_MS) }
+  };
+
+  let reminded = 0;
+  let released = 0;
+  const failed = [];
+  let cursor = null;
+  for (;;) {
+    const candidates = await prisma.payment.findMany({
+      where,
+      include: FEE_PAYMENT_INCLUDE,
+      orderBy: [{ providerReleaseEligibleAt: 'asc' }, { id: 'asc' }],
+      take: limit,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    for (const p of candidates) {
+      const outcome = await processReleaseCandidate(p, policies, now);
+      if (outcome === 'released') released++;
+      else if (outcome === 'reminded') reminded++;
+      else if (outcome) failed.push(outcome);
+    }
+    if (candidates.length < limit) break;
+    cursor = candidates[candidates.length - 1].id;
+  }
+
+  return { reminded, released, failed };
+}
@@ -1,4 +1,6 @@
 import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { convertMinor } from './money.js';
 
 /**
  * Simple FX service.
@@ -7,6 +9,35 @@ import { prisma } from '../prisma.js';
  * Rates must be seeded or updated via Admin API (licensed provider, manual entry, etc.).
  */
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Parses FX_STALE_HOURS_BY_PAIR ("USD/TRY=12,EUR/TRY=12") into a Map keyed by "BASE/QUOTE".
+function pairThresholds() {
+  const map = new Map();
+  for (const entry of config.fxStaleHoursByPair.split(',')) {
+    const [pair, hours] = entry.split('=').map((x) => x?.trim());
+    const h = Number(hours);
+    if (pair && Number.isFinite(h) && h > 0) map.set(pair.toUpperCase(), h);
+  }
+  return map;
+}
+
+/**
+ * Max age (hours) before a base/quote rate counts as stale. Per-pair overrides
+ * apply in both directions; otherwise FX_STALE_HOURS.
+ */
+export function staleThresholdHours(base, quote, thresholds = pairThresholds()) {
+  const b = base.toUpperCase();
+  const q = quote.toUpperCase();
+  return thresholds.get(`${b}/${q}`) ?? thresholds.get(`${q}/${b}`) ?? config.fxStaleHours;
+}
+
+function staleness(base, quote, asOf, now, thresholds) {
+  const maxAgeHours = staleThresholdHours(base, quote, thresholds);
+  const ageHours = Math.round(((now - asOf) / HOUR_MS) * 10) / 10;
+  return { asOf, ageHours, maxAgeHours, stale: ageHours > maxAgeHours };
+}
+
 export async function getLatestRates(base) {
   const b = base.toUpperCase();
 
@@ -22,40 +53,173 @@ export async function getLatestRates(base) {
     if (!latestByQuote.has(r.quote)) latestByQuote.set(r.quote, r);
   }
 
+  const now = new Date();
+  const thresholds = pairThresholds();
   const rates = {};
+  const stale = {};
   let asOf = null;
   for (const [quote, r] of latestByQuote.entries()) {
     rates[quote] = r.rate;
     if (!asOf || r.asOf > asOf) asOf = r.asOf;
+    const s = staleness(b, quote, r.asOf, now, thresholds);
+    if (s.stale) stale[quote] = s;
   }
 
   // always include base=1
   rates[b] = 1;
-  return { base: b, asOf, rates };
+  return { base: b, asOf, rates, stale, hasStale: Object.keys(stale).length > 0 };
 }
 
-export async function convertAmount({ amount, from, to }) {
-  const f = from.toUpperCase();
-  const t = to.toUpperCase();
-  if (f === t) return { amount, rate: 1, from: f, to: t };
+/**
+ * Latest stored rate per pair that is older than its staleness threshold.
+ * Returns [{ base, quote, asOf, ageHours, maxAgeHours }] sorted oldest first.
+ */
+export async function findStaleRates() {
+  const latest = await prisma.exchangeRate.groupBy({
+    by: ['base', 'quote'],
+    _max: { asOf: true }
+  });
+
+  const now = new Date();
+  const thresholds = pairThresholds();
+  const out = [];
+  for (const row of latest) {
+    const s = staleness(row.base, row.quote, row._max.asOf, now, thresholds);
+    if (s.stale) out.push({ base: row.base, quote: row.quote, asOf: s.asOf, ageHours: s.ageHours, maxAgeHours: s.maxAgeHours });
+  }
+  return out.sort((a, b) => a.asOf - b.asOf);
+}
+
+/**
+ * Notifies all admins when stale pairs exist (see cron in index.js). Alerts are
+ * throttled to one per FX_STALE_ALERT_COOLDOWN_HOURS so a missed refresh doesn't flood inboxes.
+ */
+export async function alertStaleRates() {
+  const stale = await findStaleRates();
+  if (!stale.length) return { stale: 0, notified: 0 };
+
+  const since = new Date(Date.now() - config.fxStaleAlertCooldownHours * HOUR_MS);
+  const recent = await prisma.notification.findFirst({
+    where: { type: 'fx.rates.stale', createdAt: { gte: since } }
+  });
+  if (recent) return { stale: stale.length, notified: 0 };
+
+  const pairs = stale.slice(0, 10).map((s) => `${s.base}/${s.quote} (${Math.floor(s.ageHours)}h)`).join(', ');
+  const more = stale.length > 10 ? ` and ${stale.length - 10} more` : '';
+
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+  for (const a of admins) {
+    await prisma.notification.create({
+      data: {
+        userId: a.id,
+        type: 'fx.rates.stale',
+        title: 'FX rates need refreshing',
+        body: `${stale.length} exchange rate pair(s) are past their freshness threshold: ${pairs}${more}.`
+      }
+    });
+  }
+  return { stale: stale.length, notified: admins.length };
+}
+
+// Finds the rate for base->quote effective at `asOf` (latest if omitted),
+// from a stored direct pair or by inverting the stored reverse pair.
+async function findLeg(base, quote, asOf) {
+  const when = asOf ? { asOf: { lte: asOf } } : {};
 
-  // We store rates by base. Prefer direct base->quote; else try invert.
   const direct = await prisma.exchangeRate.findFirst({
-    where: { base: f, quote: t },
+    where: { base, quote, ...when },
     orderBy: { asOf: 'desc' }
   });
-  if (direct) return { amount: amount * direct.rate, rate: direct.rate, from: f, to: t, asOf: direct.asOf };
+  if (direct) return { base, quote, rate: direct.rate, asOf: direct.asOf, inverted: false };
 
   const inverse = await prisma.exchangeRate.findFirst({
-    where: { base: t, quote: f },
+    where: { base: quote, quote: base, ...when },
     orderBy: { asOf: 'desc' }
   });
-  if (inverse) {
-    const rate = 1 / inverse.rate;
-    return { amount: amount * rate, rate, from: f, to: t, asOf: inverse.asOf };
+  if (inverse) return { base, quote, rate: 1 / inverse.rate, asOf: inverse.asOf, inverted: true };
+
+  return null;
+}
+
+function pivotCurrencies() {
+  return config.fxPivotCurrencies
+    .split(',')
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Converts `amount` from one currency to another.
+ *
+ * Tries a direct (or inverted) stored pair first, then triangulates through the
+ * configured pivot currencies in order (FX_PIVOT_CURRENCIES, default USD,EUR).
+ * With `asOf`, only rates effective at that moment are used (historical valuation).
+ *
+ * Returns { amount, rate, from, to, asOf, path, legs }. `asOf` is the oldest leg's
+ * date, i.e. how stale the combined rate can be.
+ */
+export async function convertAmount({ amount, from, to, asOf = null }) {
+  const f = from.toUpperCase();
+  const t = to.toUpperCase();
+  const at = asOf ? new Date(asOf) : null;
+  if (f === t) return { amount, rate: 1, from: f, to: t, path: [f], legs: [] };
+
+  const direct = await findLeg(f, t, at);
+  if (direct) {
+    return { amount: amount * direct.rate, rate: direct.rate, from: f, to: t, asOf: direct.asOf, path: [f, t], legs: [direct] };
+  }
+
+  for (const pivot of pivotCurrencies()) {
+    if (pivot === f || pivot === t) continue;
+    const first = await findLeg(f, pivot, at);
+    if (!first) continue;
+    const second = await findLeg(pivot, t, at);
+    if (!second) continue;
+
+    const rate = first.rate * second.rate;
+    const oldest = first.asOf < second.asOf ? first.asOf : second.asOf;
+    return { amount: amount * rate, rate, from: f, to: t, asOf: oldest, path: [f, pivot, t], legs: [first, second] };
   }
 
-  const err = new Error(`No FX rate available for ${f}->${t}.`);
+  const err = new Error(`No FX rate available for ${f}->${t}${at ? ` as of ${at.toISOString()}` : ''}.`);
   err.code = 'fx_rate_missing';
   throw err;
 }
+
+/**
+ * Converts a stored minor-unit amount (e.g. an offer's totalCents) into the target
+ * currency's minor units, rounded per the money rules. Same extras as convertAmount.
+ */
+export async function convertMinorAmount({ amountMinor, from, to, asOf = null }) {
+  const { amount, ...fx } = await convertAmount({ amount: 1, from, to, asOf });
+  return { ...fx, amountMinor: convertMinor(amountMinor, fx.from, fx.to, fx.rate) };
+}
+
+/**
+ * Stored rate history for a pair between two dates (inverted if only the
+ * reverse pair is stored). Returns { base, quote, inverted, points: [{ asOf, rate }] }.
+ */
+export async function getRateSeries({ base, quote, from = null, to = null, limit = 1000 }) {
+  const b = base.toUpperCase();
+  const q = quote.toUpperCase();
+  const range = {};
+  if (from) range.gte = new Date(from);
+  if (to) range.lte = new Date(to);
+  const asOf = Object.keys(range).length ? { asOf: range } : {};
+
+  const direct = await prisma.exchangeRate.findMany({
+    where: { base: b, quote: q, ...asOf },
+    orderBy: { asOf: 'asc' },
+    take: limit
+  });
+  if (direct.length) {
+    return { base: b, quote: q, inverted: false, points: direct.map((r) => ({ asOf: r.asOf, rate: r.rate })) };
+  }
+
+  const inverse = await prisma.exchangeRate.findMany({
+    where: { base: q, quote: b, ...asOf },
+    orderBy: { asOf: 'asc' },
+    take: limit
+  });
+  return { base: b, quote: q, inverted: inverse.length > 0, points: inverse.map((r) => ({ asOf: r.asOf, rate: 1 / r.rate })) };
+}
@@ -0,0 +1,212 @@
+import { prisma } from '../prisma.js';
+
+/**
+ * Bulk FX rate ingestion.
+ *
+ * Supported formats:
+ * - csv: header row with base,quote,rate[,asOf] (case-insensitive, `date` accepted for asOf);
+ *   blank lines and lines starting with '#' are ignored.
+ * - ecb: the ECB euro reference-rate XML (<Cube time="..."><Cube currency="USD" rate="1.08"/>),
+ *   imported as EUR-based rates.
+ *
+ * Rows are validated individually; bad rows are reported with their line number and
+ * never block the good ones. A (base, quote, asOf) that already exists with the same
+ * rate is skipped; one with a different rate is reported as a conflict rather than
+ * overwritten.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'ecb'];
+const MAX_ROWS = 5000;
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+function rowError(line, error, message) {
+  return { line, error, message };
+}
+
+// Normalises one raw row; returns { row } or { error }.
+function validateRow({ line, base, quote, rate, asOf }, defaultAsOf) {
+  const b = String(base || '').trim().toUpperCase();
+  const q = String(quote || '').trim().toUpperCase();
+  if (!CURRENCY_RE.test(b) || !CURRENCY_RE.test(q)) {
+    return { error: rowError(line, 'invalid_currency', `Currencies must be 3-letter ISO codes (got "${base}"/"${quote}").`) };
+  }
+  if (b === q) return { error: rowError(line, 'same_currency', `Base and quote are both ${b}.`) };
+
+  const r = Number(String(rate ?? '').trim());
+  if (!Number.isFinite(r) || r <= 0) {
+    return { error: rowError(line, 'invalid_rate', `Rate must be a positive number (got "${rate}").`) };
+  }
+
+  const rawAsOf = asOf == null || String(asOf).trim() === '' ? defaultAsOf : String(asOf).trim();
+  const when = rawAsOf ? new Date(rawAsOf) : null;
+  if (!when || Number.isNaN(when.getTime())) {
+    return { error: rowError(line, 'invalid_as_of', `asOf must be an ISO date (got "${asOf ?? ''}").`) };
+  }
+  if (when.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+    return { error: rowError(line, 'as_of_in_future', `asOf ${when.toISOString()} is in the future.`) };
+  }
+
+  return { row: { line, base: b, quote: q, rate: r, asOf: when } };
+}
+
+function splitCsvLine(text) {
+  return text.split(',').map((c) => c.trim().replace(/^"(.*)"$/, '$1').trim());
+}
+
+export function parseCsv(content) {
+  const lines = content.split(/\r?\n/);
+  const rows = [];
+  const errors = [];
+
+  let header = null;
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+    if (!text || text.startsWith('#')) continue;
+    const cells = splitCsvLine(text);
+
+    if (!header) {
+      header = cells.map((c) => c.toLowerCase());
+      const missing = ['base', 'quote', 'rate'].filter((c) => !header.includes(c));
+      if (missing.length) {
+        errors.push(rowError(i + 1, 'invalid_header', `Missing column(s): ${missing.join(', ')}.`));
+        return { rows, errors };
+      }
+      continue;
+    }
+
+    if (cells.length !== header.length) {
+      errors.push(rowError(i + 1, 'column_count', `Expected ${header.length} columns, got ${cells.length}.`));
+      continue;
+    }
+    const rec = Object.fromEntries(header.map((h, idx) => [h, cells[idx]]));
+    rows.push({ line: i + 1, base: rec.base, quote: rec.quote, rate: rec.rate, asOf: rec.asof ?? rec.date });
+  }
+
+  if (!header) errors.push(rowError(1, 'invalid_header', 'File is empty.'));
+  return { rows, errors };
+}
+
+function xmlAttr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return m ? m[1] : undefined;
+}
+
+export function parseEcbXml(content) {
+  const rows = [];
+  const errors = [];
+  const lineAt = (idx) => content.slice(0, idx).split('\n').length;
+
+  let time;
+  for (const m of content.matchAll(/<(?:\w+:)?Cube\b([^>]*)>/g)) {
+    const attrs = m[1];
+    const t = xmlAttr(attrs, 'time');
+    if (t !== undefined) {
+      time = t;
+      continue;
+    }
+    const currency = xmlAttr(attrs, 'currency');
+    if (currency === undefined) continue;
+    const line = lineAt(m.index);
+    if (!time) {
+      errors.push(rowError(line, 'missing_time', `Rate for ${currency} is not inside a dated <Cube time="...">.`));
+      continue;
+    }
+    rows.push({ line, base: 'EUR', quote: currency, rate: xmlAttr(attrs, 'rate'), asOf: time });
+  }
+
+  if (!rows.length && !errors.length) {
+    errors.push(rowError(1, 'no_rates', 'No <Cube currency="..." rate="..."> entries found.'));
+  }
+  return { rows, errors };
+}
+
+// Picks the format from an explicit value, the file name, or the content itself.
+export function detectFormat({ format, fileName, content }) {
+  if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+  if (fileName?.toLowerCase().endsWith('.xml')) return 'ecb';
+  if (fileName?.toLowerCase().endsWith('.csv')) return 'csv';
+  return content.trimStart().startsWith('<') ? 'ecb' : 'csv';
+}
+
+const pairKey = (r) => `${r.base}|${r.quote}|${r.asOf.toISOString()}`;
+
+/**
+ * Validates, de-duplicates and inserts rates.
+ * Returns { format, dryRun, received, inserted, skipped: [...], errors: [...] }.
+ */
+export async function importRates({ content, format, defaultAsOf = null, dryRun = false }) {
+  const parsed = format === 'ecb' ? parseEcbXml(content) : parseCsv(content);
+  const errors = [...parsed.errors];
+  const skipped = [];
+
+  if (parsed.rows.length > MAX_ROWS) {
+    const err = new Error(`Import is limited to ${MAX_ROWS} rows per file.`);
+    err.code = 'too_many_rows';
+    throw err;
+  }
+
+  // Validate and de-duplicate within the file.
+  const byKey = new Map();
+  for (const raw of parsed.rows) {
+    const v = validateRow(raw, defaultAsOf);
+    if (v.error) {
+      errors.push(v.error);
+      continue;
+    }
+    const key = pairKey(v.row);
+    const first = byKey.get(key);
+    if (!first) {
+      byKey.set(key, v.row);
+    } else if (first.rate === v.row.rate) {
+      skipped.push({ line: v.row.line, base: v.row.base, quote: v.row.quote, asOf: v.row.asOf, reason: 'duplicate_in_file' });
+    } else {
+      errors.push(rowError(v.row.line, 'conflicting_duplicate', `${v.row.base}/${v.row.quote} at ${v.row.asOf.toISOString()} already appears on line ${first.line} with rate ${first.rate}.`));
+    }
+  }
+
+  // De-duplicate against stored rates (same @@unique([base, quote, asOf]) key).
+  const candidates = [...byKey.values()];
+  const existing = new Map();
+  for (let i = 0; i < candidates.length; i += 200) {
+    const chunk = candidates.slice(i, i + 200);
+    const found = await prisma.exchangeRate.findMany({
+      where: { OR: chunk.map((r) => ({ base: r.base, quote: r.quote, asOf: r.asOf })) }
+    });
+    for (const f of found) existing.set(pairKey(f), f);
+  }
+
+  const toInsert = [];
+  for (const r of candidates) {
+    const stored = existing.get(pairKey(r));
+    if (!stored) {
+      toInsert.push(r);
+    } else if (stored.rate === r.rate) {
+      skipped.push({ line: r.line, base: r.base, quote: r.quote, asOf: r.asOf, reason: 'already_exists' });
+    } else {
+      errors.push(rowError(r.line, 'conflicts_with_existing', `${r.base}/${r.quote} at ${r.asOf.toISOString()} is already stored with rate ${stored.rate}.`));
+    }
+  }
+
+  let inserted = 0;
+  if (!dryRun && toInsert.length) {
+    // skipDuplicates covers rows inserted concurrently since the lookup above.
+    const out = await prisma.exchangeRate.createMany({
+      data: toInsert.map(({ base, quote, rate, asOf }) => ({ base, quote, rate, asOf })),
+      skipDuplicates: true
+    });
+    inserted = out.count;
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  skipped.sort((a, b) => a.line - b.line);
+  return {
+    format,
+    dryRun,
+    received: parsed.rows.length,
+    inserted: dryRun ? 0 : inserted,
+    wouldInsert: dryRun ? toInsert.length : undefined,
+    skipped,
+    errors
+  };
+}
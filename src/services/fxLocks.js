@@ -0,0 +1,70 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { convertMinorAmount } from './fx.js';
+
+/**
+ * FX rate locks: when a patient views an offer in a currency other than the one
+ * it was quoted in, the converted amount and rate are locked for FX_RATE_LOCK_MINUTES.
+ * /payments/deposit charges the locked amount while the lock is valid and records
+ * it on the Payment, so the shown price, the charged amount and the provider's
+ * settlement amount (offer currency) can be reconciled.
+ */
+
+function lockError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+// Returns a valid unused lock for this user/offer/currency, creating one if needed.
+export async function getOrCreateOfferLock({ userId, offer, currency }) {
+  const quote = currency.toUpperCase();
+  const now = new Date();
+
+  const existing = await prisma.fxRateLock.findFirst({
+    where: { userId, offerId: offer.id, quote, usedAt: null, expiresAt: { gt: now } },
+    orderBy: { expiresAt: 'desc' }
+  });
+  if (existing && existing.baseAmountCents === offer.totalCents) return existing;
+
+  const fx = await convertMinorAmount({ amountMinor: offer.totalCents, from: offer.currency, to: quote });
+  return prisma.fxRateLock.create({
+    data: {
+      userId,
+      quotationId: offer.quotationId,
+      offerId: offer.id,
+      base: offer.currency,
+      quote,
+      rate: fx.rate,
+      rateAsOf: fx.asOf,
+      baseAmountCents: offer.totalCents,
+      quoteAmountCents: fx.amountMinor,
+      expiresAt: new Date(now.getTime() + config.fxRateLockMinutes * 60 * 1000)
+    }
+  });
+}
+
+// Checks that a lock can pay for `offer` on behalf of `userId`; throws with a code otherwise.
+export async function getValidLockForOffer({ lockId, userId, offer }) {
+  const lock = await prisma.fxRateLock.findUnique({ where: { id: lockId } });
+  if (!lock || lock.userId !== userId) throw lockError('rate_lock_not_found');
+  if (lock.offerId !== offer.id || lock.baseAmountCents !== offer.totalCents) throw lockError('rate_lock_mismatch');
+  if (lock.usedAt) throw lockError('rate_lock_used');
+  if (lock.expiresAt <= new Date()) throw lockError('rate_lock_expired');
+  return lock;
+}
+
+// Marks a lock as used; only one payment can consume it. Pass `db` to join the
+// transaction that creates that payment.
+export async function consumeRateLock(lockId, db = prisma) {
+  const out = await db.fxRateLock.updateMany({
+    where: { id: lockId, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (out.count !== 1) throw lockError('rate_lock_used');
+}
+
+// Gives a lock back when the payment that consumed it never reached the PSP.
+export async function releaseRateLock(lockId, db = prisma) {
+  await db.fxRateLock.updateMany({ where: { id: lockId, usedAt: { not: null } }, data: { usedAt: null } });
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+
+/**
+ * Idempotency-Key support for payment-creating endpoints (Stripe semantics):
+ * - the first request with a key runs and its response (< 500) is stored with a hash of the request
+ * - a retry with the same key and request replays the stored response (Idempotency-Replayed: true)
+ * - reusing a key for a different request or endpoint is rejected with 422
+ * - a retry while the first request is still running gets 409
+ * - a 5xx response marks the key failed and a retry takes it over at once; a request that
+ *   never answered (process crash) holds it until its lock is IDEMPOTENCY_LOCK_SECONDS old.
+ *   The retry keeps the key's id, so the Stripe keys (and the payment recorded against the
+ *   key) stay the same
+ *
+ * Keys are scoped to the authenticated user and kept for IDEMPOTENCY_KEY_TTL_HOURS.
+ * Handlers forward req.idempotency.stripeKey(op) to Stripe so a re-run request
+ * cannot create a second PaymentIntent or refund either.
+ */
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+
+// JSON with sorted object keys, so {a,b} and {b,a} hash the same.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function requestHash(scope, body) {
+  return crypto.createHash('sha256').update(`${scope}\n${canonicalJson(body)}`).digest('hex');
+}
+
+// Claims `key` for this request. Returns { row } when the caller should run the handler,
+// or { replay | conflict } when it must not.
+async function claimKey({ userId, key, scope, hash }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + config.idempotencyKeyTtlHours * 60 * 60 * 1000);
+
+  try {
+    const row = await prisma.idempotencyKey.create({ data: { userId, key, scope, requestHash: hash, expiresAt } });
+    return { row };
+  } catch (e) {
+    if (e?.code !== 'P2002') throw e;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } });
+  if (!existing) return claimKey({ userId, key, scope, hash }); // purged meanwhile
+
+  if (existing.expiresAt <= now) {
+    await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, expiresAt: { lte: now } } });
+    return claimKey({ userId, key, scope, hash });
+  }
+  if (existing.scope !== scope || existing.requestHash !== hash) return { conflict: 'idempotency_key_reused' };
+  if (existing.responseStatus !== null) return { replay: existing };
+
+  // Not answered: take over a failed attempt, or a lock old enough to belong to a crashed request.
+  const staleBefore = new Date(now.getTime() - config.idempotencyLockSeconds * 1000);
+  const taken = await prisma.idempotencyKey.updateMany({
+    where: { id: existing.id, responseStatus: null, OR: [{ failedAt: { not: null } }, { lockedAt: { lt: staleBefore } }] },
+    data: { lockedAt: now, failedAt: null }
+  });
+  return taken.count === 1 ? { row: existing } : { conflict: 'idempotency_request_in_progress' };
+}
+
+/**
+ * Express middleware for `scope` (e.g. 'payments.deposit'); mount after authRequired.
+ * Requests without an Idempotency-Key header run as before.
+ */
+export function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) return res.status(400).json({ error: 'invalid_idempotency_key' });
+
+    const claim = await claimKey({ userId: req.user.sub, key, scope, hash: requestHash(scope, req.body) });
+    if (claim.conflict) {
+      return res.status(claim.conflict === 'idempotency_key_reused' ? 422 : 409).json({ error: claim.conflict });
+    }
+    if (claim.replay) {
+      res.set('Idempotency-Replayed', 'true');
+      return res.status(claim.replay.responseStatus).json(claim.replay.responseBody);
+    }
+
+    const { row } = claim;
+    req.idempotency = { id: row.id, key, stripeKey: (op) => `idem_${row.id}_${op}` };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const store =
+        res.statusCode < 500
+          ? prisma.idempotencyKey.update({
+              where: { id: row.id },
+              data: { responseStatus: res.statusCode, responseBody: body ?? null, completedAt: new Date() }
+            })
+          : prisma.idempotencyKey.update({ where: { id: row.id }, data: { failedAt: new Date() } });
+      store
+        .catch((e) => console.error('[idempotency] failed to store response', e))
+        .finally(() => json(body));
+      return res;
+    };
+
+    return next();
+  };
+}
+
+// Deletes keys past their retention window (see cron in index.js).
+export async function purgeExpiredIdempotencyKeys() {
+  const out = await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+  return { deleted: out.count };
+}
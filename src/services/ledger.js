@@ -0,0 +1,370 @@
+import { prisma } from '../prisma.js';
+import { convertMinor, moneyView } from './money.js';
+
+/**
+ * Double-entry ledger for the funds we hold.
+ *
+ * Accounts (one per code and currency; provider payables one per provider):
+ * - cash.processor           ASSET      money at Stripe (or the MOCK hold)
+ * - fx.conversion            ASSET      clearing between charge and settlement currency
+ * - escrow.patient_funds     LIABILITY  patient funds held until release
+ * - provider.payable:<id>    LIABILITY  owed to a provider (negative = provider owes us)
+ * - platform.revenue         REVENUE    commission
+ * - platform.refunds         EXPENSE    refunded commission / fees after release
+ * - expense.processing_fees  EXPENSE    Stripe fees (recovered from providers at release)
+ *
+ * Postings:
+ * - payment held (MOCK deposit, capture)  Dr cash        Cr escrow
+ * - processing fee (estimate, then actual) Dr fees       Cr cash
+ * - release (payouts scheduled)            Dr escrow     Cr payable / revenue / fees
+ * - refund before release                  Dr escrow     Cr cash
+ * - refund after release                   Dr payable / refunds  Cr cash
+ * - refund reversed                        mirror of the refund entry
+ * - payout paid                            Dr payable    Cr cash
+ *
+ * Escrow, payables and revenue are kept in the settlement currency; FX-locked payments
+ * move cash in the charge currency through fx.conversion, so every entry balances per currency.
+ *
+ * Entries are immutable (DB triggers reject UPDATE/DELETE) and keyed, so posting the same
+ * event twice is a no-op. Payments that predate the ledger get their opening entries the
+ * first time a later event is posted for them.
+ */
+
+const ACCOUNTS = {
+  cash: { code: 'cash.processor', name: 'Funds at payment processor', type: 'ASSET' },
+  fx: { code: 'fx.conversion', name: 'Currency conversion clearing', type: 'ASSET' },
+  escrow: { code: 'escrow.patient_funds', name: 'Patient funds held', type: 'LIABILITY' },
+  payable: { code: 'provider.payable', name: 'Provider payable', type: 'LIABILITY' },
+  revenue: { code: 'platform.revenue', name: 'Platform commission revenue', type: 'REVENUE' },
+  refunds: { code: 'platform.refunds', name: 'Refunds borne by the platform', type: 'EXPENSE' },
+  fees: { code: 'expense.processing_fees', name: 'Payment processing fees', type: 'EXPENSE' }
+};
+
+const DEBIT_NORMAL = ['ASSET', 'EXPENSE'];
+
+function ledgerError(code, message, details) {
+  const e = new Error(message || code);
+  e.code = code;
+  e.details = details;
+  return e;
+}
+
+async function getAccount(db, spec, currency, providerId = null) {
+  const code = providerId ? `${spec.code}:${providerId}` : spec.code;
+  return db.ledgerAccount.upsert({
+    where: { code_currency: { code, currency } },
+    create: { code, currency, providerId, type: spec.type, name: providerId ? `${spec.name} (${providerId})` : spec.name },
+    update: {}
+  });
+}
+
+/**
+ * Posts a journal entry unless one with `key` exists. Lines are
+ * { account, currency, providerId?, amount } or { accountId, currency, amount }
+ * with amount > 0 for a debit and < 0 for a credit; they must sum to zero per currency.
+ * Returns the entry, or null if it was already posted or has no non-zero line.
+ */
+export async function postEntry(db, { key, kind, description = null, paymentId = null, refundId = null, payoutId = null, lines }) {
+  if (await db.journalEntry.findUnique({ where: { key } })) return null;
+
+  const nonZero = lines.filter((l) => l.amount);
+  if (!nonZero.length) return null;
+
+  const sums = {};
+  for (const l of nonZero) sums[l.currency] = (sums[l.currency] || 0) + l.amount;
+  const off = Object.entries(sums).filter(([, s]) => s !== 0);
+  if (off.length) throw ledgerError('ledger_unbalanced', `Journal entry ${key} does not balance.`, Object.fromEntries(off));
+
+  const data = [];
+  for (const l of nonZero) {
+    const accountId = l.accountId || (await getAccount(db, l.account, l.currency, l.providerId)).id;
+    data.push({
+      accountId,
+      currency: l.currency,
+      debitCents: l.amount > 0 ? l.amount : 0,
+      creditCents: l.amount < 0 ? -l.amount : 0
+    });
+  }
+
+  return db.journalEntry.create({
+    data: { key, kind, description, paymentId, refundId, payoutId, lines: { create: data } },
+    include: { lines: true }
+  });
+}
+
+// Settlement currency of a payment and conversions from/to its charge currency.
+function currencies(payment) {
+  const settlement = payment.settlementCurrency ?? payment.currency;
+  const fx = settlement !== payment.currency && payment.fxRate ? payment.fxRate : null;
+  return {
+    charge: payment.currency,
+    settlement,
+    fx,
+    toSettlement: (c) => (fx ? convertMinor(c, payment.currency, settlement, 1 / fx) : c),
+    toCharge: (s) => (fx ? convertMinor(s, settlement, payment.currency, fx) : s)
+  };
+}
+
+// Cash moving in (> 0) or out (< 0) for `amountS` in the settlement currency;
+// `amountC` is the same amount in the charge currency for FX payments.
+function cashLines(payment, amountS, amountC) {
+  const cur = currencies(payment);
+  if (!cur.fx) return [{ account: ACCOUNTS.cash, currency: cur.settlement, amount: amountS }];
+  const c = amountC ?? cur.toCharge(amountS);
+  return [
+    { account: ACCOUNTS.cash, currency: cur.charge, amount: c },
+    { account: ACCOUNTS.fx, currency: cur.charge, amount: -c },
+    { account: ACCOUNTS.fx, currency: cur.settlement, amount: amountS }
+  ];
+}
+
+// Debit-minus-credit on an account from a payment's entries (optionally of one kind).
+async function paymentAccountBalance(db, paymentId, spec, kind) {
+  const agg = await db.journalLine.aggregate({
+    where: { entry: kind ? { paymentId, kind } : { paymentId }, account: { code: spec.code } },
+    _sum: { debitCents: true, creditCents: true }
+  });
+  return (agg._sum.debitCents || 0) - (agg._sum.creditCents || 0);
+}
+
+/**
+ * Brings the booked processing fee of a held payment in line with Payment.processingFeeCents
+ * (the estimate at hold, the actual Stripe fee once the charge reports it).
+ */
+export async function syncProcessingFee(db, payment) {
+  if (!(await db.journalEntry.findUnique({ where: { key: `payment.held:${payment.id}` } }))) return null;
+  const { settlement } = currencies(payment);
+  const target = payment.processingFeeCents || 0;
+  const delta = target - (await paymentAccountBalance(db, payment.id, ACCOUNTS.fees, 'payment.processing_fee'));
+  if (!delta) return null;
+
+  // Numbered adjustments: a fee can return to an earlier value (A -> B -> A), so the
+  // target alone would repeat a key. Concurrent syncs share the number and post once.
+  const seq = await db.journalEntry.count({ where: { paymentId: payment.id, kind: 'payment.processing_fee' } });
+  return postEntry(db, {
+    key: `payment.processing_fee:${payment.id}:${seq + 1}`,
+    kind: 'payment.processing_fee',
+    description: `Processing fee for payment ${payment.id}`,
+    paymentId: payment.id,
+    lines: [{ account: ACCOUNTS.fees, currency: settlement, amount: delta }, ...cashLines(payment, -delta)]
+  });
+}
+
+// Funds received and held for a payment (MOCK deposit or capture), plus its processing fee.
+export async function postPaymentHeld(db, payment) {
+  const { settlement } = currencies(payment);
+  const held = payment.settlementAmountCents ?? payment.amountCents;
+  const entry = await postEntry(db, {
+    key: `payment.held:${payment.id}`,
+    kind: 'payment.held',
+    description: `Funds held for payment ${payment.id}`,
+    paymentId: payment.id,
+    lines: [...cashLines(payment, held, payment.amountCents), { account: ACCOUNTS.escrow, currency: settlement, amount: -held }]
+  });
+  await syncProcessingFee(db, payment);
+  return entry;
+}
+
+/**
+ * Moves a released payment out of escrow according to its payouts: net to each provider,
+ * commission to revenue, recovered processing fees back to the fee account. Whatever is
+ * left in escrow for the payment (rounding after partial refunds) goes to revenue.
+ */
+export async function postPaymentReleased(db, paymentId) {
+  const payment = await db.payment.findUnique({ where: { id: paymentId }, include: { payouts: true } });
+  if (!payment?.providerReleasedAt) return null;
+  await postPaymentHeld(db, payment);
+
+  const { settlement } = currencies(payment);
+  const escrow = -(await paymentAccountBalance(db, payment.id, ACCOUNTS.escrow));
+  const lines = [{ account: ACCOUNTS.escrow, currency: settlement, amount: escrow }];
+  let left = escrow;
+  for (const p of payment.payouts.filter((x) => x.status !== 'CANCELLED')) {
+    lines.push(
+      { account: ACCOUNTS.payable, providerId: p.providerId, currency: settlement, amount: -p.amountCents },
+      { account: ACCOUNTS.revenue, currency: settlement, amount: -p.commissionCents },
+      { account: ACCOUNTS.fees, currency: settlement, amount: -p.processingFeeCents }
+    );
+    left -= p.amountCents + p.commissionCents + p.processingFeeCents;
+  }
+  lines.push({ account: ACCOUNTS.revenue, currency: settlement, amount: -left });
+
+  return postEntry(db, {
+    key: `payment.released:${payment.id}`,
+    kind: 'payment.released',
+    description: `Escrow released for payment ${payment.id}`,
+    paymentId: payment.id,
+    lines
+  });
+}
+
+/**
+ * A succeeded refund. Before release it comes out of escrow; after release out of the
+ * provider payables it reduced (`adjustments` from the refund), the rest from the platform.
+ */
+export async function postRefund(db, refund, payment, adjustments = []) {
+  await postPaymentHeld(db, payment);
+  const { settlement, toSettlement } = currencies(payment);
+  const amountS = toSettlement(refund.amountCents);
+  const released = await db.journalEntry.findUnique({ where: { key: `payment.released:${payment.id}` } });
+
+  const lines = cashLines(payment, -amountS, -refund.amountCents);
+  if (!released) {
+    lines.push({ account: ACCOUNTS.escrow, currency: settlement, amount: amountS });
+  } else {
+    let left = amountS;
+    for (const a of adjustments) {
+      lines.push({ account: ACCOUNTS.payable, providerId: a.providerId, currency: settlement, amount: a.amountCents });
+      left -= a.amountCents;
+    }
+    lines.push({ account: ACCOUNTS.refunds, currency: settlement, amount: left });
+  }
+
+  return postEntry(db, {
+    key: `refund:${refund.id}`,
+    kind: 'refund.succeeded',
+    description: `Refund ${refund.id} on payment ${payment.id}`,
+    paymentId: payment.id,
+    refundId: refund.id,
+    lines
+  });
+}
+
+// A refund that failed after succeeding: posts the mirror image of its entry.
+export async function postRefundReversal(db, refund) {
+  const original = await db.journalEntry.findUnique({ where: { key: `refund:${refund.id}` }, include: { lines: true } });
+  if (!original) return null;
+  return postEntry(db, {
+    key: `refund.reversed:${refund.id}`,
+    kind: 'refund.reversed',
+    description: `Refund ${refund.id} reversed`,
+    paymentId: original.paymentId,
+    refundId: refund.id,
+    lines: original.lines.map((l) => ({ accountId: l.accountId, currency: l.currency, amount: l.creditCents - l.debitCents }))
+  });
+}
+
+// A payout transferred to the provider.
+export async function postPayoutPaid(db, payout) {
+  await postPaymentReleased(db, payout.paymentId);
+  return postEntry(db, {
+    key: `payout.paid:${payout.id}`,
+    kind: 'payout.paid',
+    description: `Payout ${payout.id} to provider ${payout.providerId}`,
+    paymentId: payout.paymentId,
+    payoutId: payout.id,
+    lines: [
+      { account: ACCOUNTS.payable, providerId: payout.providerId, currency: payout.currency, amount: payout.amountCents },
+      { account: ACCOUNTS.cash, currency: payout.currency, amount: -payout.amountCents }
+    ]
+  });
+}
+
+function accountView(account, sums) {
+  const debitCents = sums?.debitCents || 0;
+  const creditCents = sums?.creditCents || 0;
+  const balanceCents = DEBIT_NORMAL.includes(account.type) ? debitCents - creditCents : creditCents - debitCents;
+  return { ...account, debitCents, creditCents, balanceCents, balance: moneyView(balanceCents, account.currency) };
+}
+
+/**
+ * Accounts with their balances (in the account's normal direction: debit for assets and
+ * expenses, credit for liabilities and revenue). Filters: currency, type, providerId, code prefix.
+ */
+export async function accountBalances({ currency, type, providerId, code } = {}) {
+  const where = {};
+  if (currency) where.currency = currency;
+  if (type) where.type = type;
+  if (providerId) where.providerId = providerId;
+  if (code) where.code = { startsWith: code };
+
+  const accounts = await prisma.ledgerAccount.findMany({ where, orderBy: [{ currency: 'asc' }, { code: 'asc' }] });
+  const sums = await prisma.journalLine.groupBy({
+    by: ['accountId'],
+    where: { accountId: { in: accounts.map((a) => a.id) } },
+    _sum: { debitCents: true, creditCents: true }
+  });
+  const byAccount = new Map(sums.map((s) => [s.accountId, s._sum]));
+  return accounts.map((a) => accountView(a, byAccount.get(a.id)));
+}
+
+// What the platform owes a provider, per currency.
+export async function providerBalance(providerId) {
+  const accounts = await accountBalances({ providerId, code: ACCOUNTS.payable.code });
+  return {
+    providerId,
+    balances: accounts.map((a) => ({ accountId: a.id, currency: a.currency, payable: a.balance }))
+  };
+}
+
+// Lines of one account, newest first, with their entries.
+export async function accountStatement(accountId, { limit = 100 } = {}) {
+  const account = await prisma.ledgerAccount.findUnique({ where: { id: accountId } });
+  if (!account) return null;
+  const [sums, lines] = await Promise.all([
+    prisma.journalLine.aggregate({ where: { accountId }, _sum: { debitCents: true, creditCents: true } }),
+    prisma.journalLine.findMany({
+      where: { accountId },
+      include: { entry: true },
+      orderBy: { entry: { createdAt: 'desc' } },
+      take: limit
+    })
+  ]);
+  return { account: accountView(account, sums._sum), lines };
+}
+
+/**
+ * Proves the books balance: total debits equal total credits per currency, no single entry
+ * is out of balance, and the trial balance (assets + expenses = liabilities + revenue) holds.
+ */
+export async function checkIntegrity() {
+  const totals = await prisma.journalLine.groupBy({
+    by: ['currency'],
+    _sum: { debitCents: true, creditCents: true },
+    _count: { _all: true }
+  });
+  const unbalanced = await prisma.$queryRaw`
+    SELECT "entryId", "currency", SUM("debitCents")::bigint AS "debitCents", SUM("creditCents")::bigint AS "creditCents"
+    FROM "JournalLine"
+    GROUP BY "entryId", "currency"
+    HAVING SUM("debitCents") <> SUM("creditCents")
+    LIMIT 100`;
+
+  const accounts = await accountBalances();
+  const trial = {};
+  for (const a of accounts) {
+    const t = (trial[a.currency] ||= { debitNormalCents: 0, creditNormalCents: 0 });
+    if (DEBIT_NORMAL.includes(a.type)) t.debitNormalCents += a.balanceCents;
+    else t.creditNormalCents += a.balanceCents;
+  }
+
+  const byCurrency = totals.map((t) => {
+    const debitCents = t._sum.debitCents || 0;
+    const creditCents = t._sum.creditCents || 0;
+    const tb = trial[t.currency] || { debitNormalCents: 0, creditNormalCents: 0 };
+    return {
+      currency: t.currency,
+      lines: t._count._all,
+      debits: moneyView(debitCents, t.currency),
+      credits: moneyView(creditCents, t.currency),
+      differenceCents: debitCents - creditCents,
+      trialBalance: {
+        assetsAndExpenses: moneyView(tb.debitNormalCents, t.currency),
+        liabilitiesAndRevenue: moneyView(tb.creditNormalCents, t.currency)
+      }
+    };
+  });
+  const unbalancedEntries = unbalanced.map((u) => ({
+    entryId: u.entryId,
+    currency: u.currency,
+    debitCents: Number(u.debitCents),
+    creditCents: Number(u.creditCents)
+  }));
+
+  return {
+    balanced: !unbalancedEntries.length && byCurrency.every((c) => c.differenceCents === 0),
+    checkedAt: new Date(),
+    currencies: byCurrency,
+    unbalancedEntries
+  };
+}
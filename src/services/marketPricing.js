@@ -0,0 +1,183 @@
+import { prisma } from '../prisma.js';
+import { convertAmount } from './fx.js';
+import { isSupportedCurrency, fromMinor, roundMajor } from './money.js';
+import { computePriceConfidence } from './confidence.js';
+
+/**
+ * Historical market pricing per procedure category (and country).
+ *
+ * Samples come from what patients actually agreed to pay:
+ * - captured payments (HELD / RELEASED) linked to a quotation, except payment plan
+ *   installments (each is only part of the price)
+ * - accepted offers that have no captured payment yet, or are paid in installments
+ * A payment made against an offer replaces that offer's sample, so nothing is counted twice.
+ *
+ * Stats are computed in USD major units (same unit as Procedure.priceMinUSD).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function round2(n) {
+  return n == null ? null : roundMajor(n, 'USD');
+}
+
+async function collectSamples({ category, countryCode, since }) {
+  const quotationWhere = {
+    procedure: { category: { equals: category, mode: 'insensitive' } },
+    ...(countryCode ? { provider: { countryCode } } : {})
+  };
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      status: { in: ['HELD', 'RELEASED', 'PARTIALLY_REFUNDED'] },
+      installmentId: null,
+      createdAt: { gte: since },
+      quotation: quotationWhere
+    },
+    select: {
+      offerId: true,
+      amountCents: true,
+      currency: true,
+      capturedAt: true,
+      createdAt: true,
+      quotation: { select: { provider: { select: { countryCode: true } } } }
+    }
+  });
+  const paidOfferIds = new Set(payments.map((p) => p.offerId).filter(Boolean));
+
+  const offers = await prisma.quotationOffer.findMany({
+    where: { status: 'ACCEPTED', acceptedAt: { gte: since }, quotation: quotationWhere },
+    select: {
+      id: true,
+      totalCents: true,
+      currency: true,
+      acceptedAt: true,
+      quotation: { select: { provider: { select: { countryCode: true } } } }
+    }
+  });
+
+  const samples = payments.map((p) => ({
+    amountCents: p.amountCents,
+    currency: p.currency,
+    at: p.capturedAt || p.createdAt,
+    countryCode: p.quotation.provider.countryCode,
+    kind: 'PAYMENT'
+  }));
+  for (const o of offers) {
+    if (paidOfferIds.has(o.id)) continue;
+    samples.push({
+      amountCents: o.totalCents,
+      currency: o.currency,
+      at: o.acceptedAt,
+      countryCode: o.quotation.provider.countryCode,
+      kind: 'OFFER'
+    });
+  }
+  return samples;
+}
+
+// Converts samples to USD major units; samples without an FX rate are dropped.
+async function toUsd(samples) {
+  const rateCache = new Map([['USD', 1]]);
+  const out = [];
+  for (const s of samples) {
+    const cur = s.currency.toUpperCase();
+    if (!isSupportedCurrency(cur)) continue;
+    if (!rateCache.has(cur)) {
+      try {
+        rateCache.set(cur, (await convertAmount({ amount: 1, from: cur, to: 'USD' })).rate);
+      } catch {
+        rateCache.set(cur, null);
+      }
+    }
+    const rate = rateCache.get(cur);
+    if (rate == null) continue;
+    out.push({ ...s, usd: fromMinor(s.amountCents, cur) * rate });
+  }
+  return out;
+}
+
+function summarize(samples, now) {
+  const values = samples.map((s) => s.usd).sort((a, b) => a - b);
+  const lastSampleAt = samples.reduce((max, s) => (!max || s.at > max ? s.at : max), null);
+  const recencyDays = lastSampleAt ? Math.floor((now - lastSampleAt.getTime()) / DAY_MS) : null;
+  return {
+    sampleSize: values.length,
+    payments: samples.filter((s) => s.kind === 'PAYMENT').length,
+    acceptedOffers: samples.filter((s) => s.kind === 'OFFER').length,
+    min: round2(values[0] ?? null),
+    p25: round2(percentile(values, 0.25)),
+    median: round2(percentile(values, 0.5)),
+    p75: round2(percentile(values, 0.75)),
+    max: round2(values[values.length - 1] ?? null),
+    lastSampleAt,
+    recencyDays,
+    confidence: computePriceConfidence({
+      source: values.length ? 'HISTORICAL' : 'ESTIMATE',
+      lastUpdatedDays: recencyDays ?? 999,
+      sampleSize: values.length
+    })
+  };
+}
+
+/**
+ * Market price statistics for a category, in USD major units.
+ * Returns { category, countryCode, currency: 'USD', windowDays, ...stats, byCountry? }.
+ * byCountry is included when no countryCode filter is given.
+ */
+export async function getMarketStats({ category, countryCode = null, windowDays = 365 }) {
+  const now = Date.now();
+  const since = new Date(now - windowDays * DAY_MS);
+  const cc = countryCode ? countryCode.toUpperCase() : null;
+
+  const samples = await toUsd(await collectSamples({ category, countryCode: cc, since }));
+  const stats = { category, countryCode: cc, currency: 'USD', windowDays, ...summarize(samples, now) };
+
+  if (!cc) {
+    const groups = new Map();
+    for (const s of samples) {
+      if (!groups.has(s.countryCode)) groups.set(s.countryCode, []);
+      groups.get(s.countryCode).push(s);
+    }
+    stats.byCountry = [...groups.entries()].map(([code, list]) => ({ countryCode: code, ...summarize(list, now) }));
+  }
+  return stats;
+}
+
+// Where a provider's USD range sits relative to the market interquartile range.
+export function compareToMarket({ priceMinUSD, priceMaxUSD }, stats) {
+  if (!stats.sampleSize) return { position: 'UNKNOWN', midpointUSD: (priceMinUSD + priceMaxUSD) / 2 };
+  const mid = (priceMinUSD + priceMaxUSD) / 2;
+  const position = mid < stats.p25 ? 'BELOW_MARKET' : mid > stats.p75 ? 'ABOVE_MARKET' : 'WITHIN_MARKET';
+  return {
+    position,
+    midpointUSD: mid,
+    vsMedianPct: stats.median ? Math.round(((mid - stats.median) / stats.median) * 1000) / 10 : null
+  };
+}
+
+// Re-expresses the USD amounts of a stats object in another currency.
+export async function convertStats(stats, currency) {
+  const target = currency.toUpperCase();
+  if (target === 'USD') return stats;
+  const { rate, asOf } = await convertAmount({ amount: 1, from: 'USD', to: target });
+  const conv = (s) => ({
+    ...s,
+    min: s.min != null ? roundMajor(s.min * rate, target) : null,
+    p25: s.p25 != null ? roundMajor(s.p25 * rate, target) : null,
+    median: s.median != null ? roundMajor(s.median * rate, target) : null,
+    p75: s.p75 != null ? roundMajor(s.p75 * rate, target) : null,
+    max: s.max != null ? roundMajor(s.max * rate, target) : null
+  });
+  const out = { ...conv(stats), currency: target, fx: { rate, asOf: asOf || null } };
+  if (stats.byCountry) out.byCountry = stats.byCountry.map(conv);
+  return out;
+}
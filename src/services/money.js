@@ -0,0 +1,132 @@
+/**
+ * Money helpers shared by payments, payouts, pricing and FX.
+ *
+ * Stored amounts (`amountCents`, `totalCents`, ...) are integers in the currency's
+ * ISO 4217 minor unit: cents for USD/EUR, whole yen for JPY, fils (1/1000) for KWD.
+ * Amounts shown in major units (procedure price ranges, estimates, /fx/convert) are
+ * rounded to the currency's number of decimals.
+ *
+ * Rounding is half away from zero everywhere, so converting and formatting the same
+ * value always yields the same minor-unit amount.
+ */
+
+// code -> { minorUnits, minChargeMinor }. Minimum charges follow card-processor floors
+// (roughly USD 0.50 equivalent); currencies missing here are rejected for payments.
+const CURRENCIES = {
+  USD: { minorUnits: 2, minChargeMinor: 50 },
+  EUR: { minorUnits: 2, minChargeMinor: 50 },
+  GBP: { minorUnits: 2, minChargeMinor: 30 },
+  CHF: { minorUnits: 2, minChargeMinor: 50 },
+  CAD: { minorUnits: 2, minChargeMinor: 50 },
+  AUD: { minorUnits: 2, minChargeMinor: 50 },
+  NZD: { minorUnits: 2, minChargeMinor: 50 },
+  SEK: { minorUnits: 2, minChargeMinor: 300 },
+  NOK: { minorUnits: 2, minChargeMinor: 300 },
+  DKK: { minorUnits: 2, minChargeMinor: 250 },
+  PLN: { minorUnits: 2, minChargeMinor: 200 },
+  CZK: { minorUnits: 2, minChargeMinor: 1500 },
+  HUF: { minorUnits: 2, minChargeMinor: 17500 },
+  TRY: { minorUnits: 2, minChargeMinor: 2000 },
+  AED: { minorUnits: 2, minChargeMinor: 200 },
+  SAR: { minorUnits: 2, minChargeMinor: 200 },
+  QAR: { minorUnits: 2, minChargeMinor: 200 },
+  EGP: { minorUnits: 2, minChargeMinor: 2500 },
+  MAD: { minorUnits: 2, minChargeMinor: 500 },
+  ZAR: { minorUnits: 2, minChargeMinor: 1000 },
+  INR: { minorUnits: 2, minChargeMinor: 5000 },
+  THB: { minorUnits: 2, minChargeMinor: 1000 },
+  MYR: { minorUnits: 2, minChargeMinor: 200 },
+  SGD: { minorUnits: 2, minChargeMinor: 50 },
+  HKD: { minorUnits: 2, minChargeMinor: 400 },
+  MXN: { minorUnits: 2, minChargeMinor: 1000 },
+  BRL: { minorUnits: 2, minChargeMinor: 50 },
+  JPY: { minorUnits: 0, minChargeMinor: 50 },
+  KRW: { minorUnits: 0, minChargeMinor: 700 },
+  KWD: { minorUnits: 3, minChargeMinor: 200 },
+  BHD: { minorUnits: 3, minChargeMinor: 200 },
+  OMR: { minorUnits: 3, minChargeMinor: 200 },
+  JOD: { minorUnits: 3, minChargeMinor: 400 }
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+function moneyError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+export function isSupportedCurrency(code) {
+  return typeof code === 'string' && Object.hasOwn(CURRENCIES, code.toUpperCase());
+}
+
+// Upper-cases and checks a currency code; throws `unsupported_currency` otherwise.
+export function normalizeCurrency(code) {
+  const c = String(code || '').toUpperCase();
+  if (!isSupportedCurrency(c)) throw moneyError('unsupported_currency', `Currency ${c || '(none)'} is not supported.`);
+  return c;
+}
+
+export function minorUnits(currency) {
+  return CURRENCIES[normalizeCurrency(currency)].minorUnits;
+}
+
+// Half away from zero (Math.round rounds -2.5 to -2).
+export function roundHalfAway(value) {
+  return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+// toPrecision strips binary noise first so 1.005 USD becomes 101 cents, not 100.
+export function toMinor(amountMajor, currency) {
+  return roundHalfAway(Number((amountMajor * 10 ** minorUnits(currency)).toPrecision(12)));
+}
+
+export function fromMinor(amountMinor, currency) {
+  return amountMinor / 10 ** minorUnits(currency);
+}
+
+// Rounds a major-unit amount to the currency's decimals (e.g. a converted price range).
+export function roundMajor(amountMajor, currency) {
+  return fromMinor(toMinor(amountMajor, currency), currency);
+}
+
+// Converts a minor-unit amount with a from->to rate, handling differing decimals (USD cents -> JPY yen).
+export function convertMinor(amountMinor, from, to, rate) {
+  return toMinor(fromMinor(amountMinor, from) * rate, to);
+}
+
+export function minChargeMinor(currency) {
+  return CURRENCIES[normalizeCurrency(currency)].minChargeMinor;
+}
+
+// Throws `amount_below_minimum` when a charge is under the currency's floor.
+export function assertChargeable(amountMinor, currency) {
+  const min = minChargeMinor(currency);
+  if (!Number.isInteger(amountMinor) || amountMinor < min) {
+    throw moneyError('amount_below_minimum', `Minimum charge is ${formatMoney(min, currency)}.`);
+  }
+}
+
+// Display only: rows stored before currency validation may use codes missing from
+// the table, so fall back to 2 decimals instead of failing the response.
+function displayDigits(currency) {
+  return isSupportedCurrency(currency) ? minorUnits(currency) : 2;
+}
+
+// "€1,234.50", "¥12,000", "KWD 1.250" (en-US conventions; the API is not localised).
+export function formatMoney(amountMinor, currency) {
+  const c = String(currency).toUpperCase();
+  const digits = displayDigits(c);
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: c,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(amountMinor / 10 ** digits);
+}
+
+// API representation of a stored amount: raw minor units plus major and display forms.
+export function moneyView(amountMinor, currency) {
+  const c = String(currency).toUpperCase();
+  return { amountMinor, currency: c, amount: amountMinor / 10 ** displayDigits(c), formatted: formatMoney(amountMinor, c) };
+}
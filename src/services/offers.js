@@ -0,0 +1,30 @@
+import { prisma } from '../prisma.js';
+
+/**
+ * Quotation offers:
+ * - Providers answer a QuotationRequest with one or more structured offers
+ *   (line items, total, currency, validity).
+ * - The patient accepts exactly one; its total becomes the amount we charge.
+ */
+
+export function computeOfferTotal(lineItems) {
+  return lineItems.reduce((sum, li) => sum + li.quantity * li.unitAmountCents, 0);
+}
+
+export function isOfferExpired(offer, now = new Date()) {
+  return offer.validUntil <= now;
+}
+
+// Returns the accepted offer of a quotation, or throws a coded error.
+export async function getAcceptedOffer(quotationId) {
+  const offer = await prisma.quotationOffer.findFirst({
+    where: { quotationId, status: 'ACCEPTED' },
+    include: { lineItems: true }
+  });
+  if (!offer) {
+    const e = new Error('quotation_has_no_accepted_offer');
+    e.code = 'no_accepted_offer';
+    throw e;
+  }
+  return offer;
+}
@@ -0,0 +1,372 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { auditLog } from './audit.js';
+import { getAcceptedOffer } from './offers.js';
+import { assertChargeable, formatMoney, moneyView } from './money.js';
+import { transitionQuotation } from './quotationStatus.js';
+import { transitionPayment } from './paymentStatus.js';
+import { stripe } from '../stripe.js';
+
+/**
+ * Payment plans: an accepted quotation paid as scheduled installments (by default a
+ * deposit now and the balance before the procedure) instead of one lump sum.
+ * - each installment is paid with POST /payments/deposit { installmentId }, in order
+ * - an installment is PAID once its payment is HELD (see paymentStatus.js)
+ * - a periodic job (see cron in index.js) reminds the patient before each due date,
+ *   marks missed installments OVERDUE and, after the plan's cancelAfterOverdueDays,
+ *   cancels the plan and its booking (the quotation)
+ *
+ * Installments are charged in the offer currency; FX rate locks don't apply.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const UNPAID_STATUSES = ['SCHEDULED', 'OVERDUE'];
+
+function planError(code, message, details) {
+  const e = new Error(message || code);
+  e.code = code;
+  e.details = details;
+  return e;
+}
+
+/**
+ * Splits `totalCents` into installments. Either pass explicit `installments`
+ * ([{ amountCents, dueAt, label? }], summing to the total) or a deposit share with
+ * the balance due date. Throws installments_total_mismatch, bad_due_dates or amount_below_minimum.
+ */
+export function buildInstallments({ totalCents, currency, depositPercent, balanceDueAt, installments, now = new Date() }) {
+  let rows;
+  if (installments?.length) {
+    rows = installments.map((i, idx) => ({
+      label: i.label || (idx === 0 ? 'Deposit' : idx === installments.length - 1 ? 'Balance' : `Installment ${idx + 1}`),
+      amountCents: i.amountCents,
+      dueAt: new Date(i.dueAt)
+    }));
+    const sum = rows.reduce((s, r) => s + r.amountCents, 0);
+    if (sum !== totalCents) {
+      throw planError('installments_total_mismatch', `Installments must add up to ${formatMoney(totalCents, currency)}.`);
+    }
+  } else {
+    const pct = depositPercent ?? config.paymentPlanDepositPercent;
+    const deposit = Math.round((totalCents * pct) / 100);
+    rows = [
+      { label: 'Deposit', amountCents: deposit, dueAt: now },
+      { label: 'Balance', amountCents: totalCents - deposit, dueAt: new Date(balanceDueAt) }
+    ];
+  }
+
+  for (let i = 0; i < rows.length; i++) {
+    if (Number.isNaN(rows[i].dueAt.getTime()) || (i > 0 && rows[i].dueAt <= rows[i - 1].dueAt)) {
+      throw planError('bad_due_dates', 'Due dates must be valid and strictly increasing.');
+    }
+    assertChargeable(rows[i].amountCents, currency);
+  }
+  if (rows[rows.length - 1].dueAt <= now) throw planError('bad_due_dates', 'The last installment must be due in the future.');
+
+  return rows.map((r, idx) => ({ ...r, sequence: idx + 1 }));
+}
+
+/**
+ * Creates a plan for the patient's accepted quotation.
+ * Throws quotation_not_found, forbidden, quotation_not_accepted, no_accepted_offer, quotation_in_trip,
+ * payment_plan_exists, quotation_already_paid, plus buildInstallments' errors.
+ */
+export async function createPaymentPlan({ userId, quotationId, depositPercent, balanceDueAt, installments, cancelAfterOverdueDays }) {
+  const q = await prisma.quotationRequest.findUnique({
+    where: { id: quotationId },
+    include: { tripComponents: { include: { package: true } }, payments: true, paymentPlans: true }
+  });
+  if (!q) throw planError('quotation_not_found');
+  if (q.userId !== userId) throw planError('forbidden');
+  if (q.status !== 'ACCEPTED') throw planError('quotation_not_accepted');
+  const offer = await getAcceptedOffer(q.id);
+  if (q.tripComponents.some((tc) => tc.package.status === 'ACTIVE')) throw planError('quotation_in_trip');
+  if (q.paymentPlans.some((p) => p.status !== 'CANCELLED')) throw planError('payment_plan_exists');
+  if (q.payments.some((p) => p.status !== 'FAILED' && !p.installmentId)) throw planError('quotation_already_paid');
+
+  const rows = buildInstallments({ totalCents: offer.totalCents, currency: offer.currency, depositPercent, balanceDueAt, installments });
+
+  const plan = await prisma.paymentPlan.create({
+    data: {
+      userId,
+      quotationId: q.id,
+      offerId: offer.id,
+      currency: offer.currency,
+      totalCents: offer.totalCents,
+      cancelAfterOverdueDays: cancelAfterOverdueDays ?? config.installmentCancelAfterOverdueDays,
+      installments: { create: rows }
+    },
+    include: { installments: { orderBy: { sequence: 'asc' } } }
+  });
+
+  await auditLog({
+    actorId: userId,
+    entityType: 'PaymentPlan',
+    entityId: plan.id,
+    action: 'payment_plan.created',
+    metadata: { quotationId: q.id, offerId: offer.id, totalCents: plan.totalCents, installments: rows.length }
+  });
+
+  return plan;
+}
+
+// Whether a payment still occupies its installment. FAILED attempts don't, and neither do
+// INITIATED ones older than installmentAttemptStaleMinutes (abandoned checkouts).
+function isLiveAttempt(payment, now = new Date()) {
+  if (payment.status === 'FAILED') return false;
+  if (payment.status !== 'INITIATED') return true;
+  return payment.createdAt.getTime() > now.getTime() - config.installmentAttemptStaleMinutes * MINUTE_MS;
+}
+
+// Fails an abandoned attempt, cancelling its PaymentIntent first so it can no longer be confirmed.
+async function abandonAttempt(payment) {
+  if (payment.stripePaymentIntentId && stripe) {
+    try {
+      await stripe.paymentIntents.cancel(payment.stripePaymentIntentId);
+    } catch (e) {
+      const pi = await stripe.paymentIntents.retrieve(payment.stripePaymentIntentId).catch(() => null);
+      if (pi?.status !== 'canceled') throw planError('installment_already_paid', 'An earlier payment attempt is still in progress.');
+    }
+  }
+  await transitionPayment({
+    paymentId: payment.id,
+    to: 'FAILED',
+    actor: { role: 'SYSTEM' },
+    reason: 'Abandoned installment payment',
+    ignoreOutOfOrder: true
+  });
+}
+
+/**
+ * Checks that `installmentId` can be paid now by `user` and returns it with its plan.
+ * Earlier installments must be paid first; abandoned attempts are failed. Throws
+ * installment_not_found, forbidden, bad_status, earlier_installment_unpaid, installment_already_paid.
+ */
+export async function getPayableInstallment({ installmentId, user }) {
+  const inst = await prisma.paymentInstallment.findUnique({
+    where: { id: installmentId },
+    include: { plan: { include: { installments: true } }, payments: true }
+  });
+  if (!inst) throw planError('installment_not_found');
+  if (inst.plan.userId !== user.sub && user.role !== 'ADMIN') throw planError('forbidden');
+  if (inst.plan.status !== 'ACTIVE' || !UNPAID_STATUSES.includes(inst.status)) throw planError('bad_status');
+  if (inst.plan.installments.some((i) => i.sequence < inst.sequence && i.status !== 'PAID')) {
+    throw planError('earlier_installment_unpaid');
+  }
+  const now = new Date();
+  if (inst.payments.some((p) => isLiveAttempt(p, now))) throw planError('installment_already_paid');
+  for (const p of inst.payments.filter((p) => p.status === 'INITIATED')) await abandonAttempt(p);
+  return inst;
+}
+
+// Serializes payments for one installment: call in the transaction that creates the payment.
+// Locks the installment row, then rechecks that no other attempt is live.
+export async function lockInstallmentForPayment(tx, installmentId) {
+  await tx.paymentInstallment.update({ where: { id: installmentId }, data: { updatedAt: new Date() } });
+  const payments = await tx.payment.findMany({ where: { installmentId } });
+  if (payments.some((p) => isLiveAttempt(p))) throw planError('installment_already_paid');
+}
+
+// Marks the payment's installment PAID (and the plan COMPLETED after the last one).
+// `db` is prisma or a transaction client; no-op for payments outside a plan.
+export async function settleInstallment(db, payment) {
+  if (!payment.installmentId) return;
+  const paid = await db.paymentInstallment.updateMany({
+    where: { id: payment.installmentId, status: { in: UNPAID_STATUSES } },
+    data: { status: 'PAID', paidAt: new Date() }
+  });
+  if (!paid.count) return;
+
+  const inst = await db.paymentInstallment.findUnique({ where: { id: payment.installmentId } });
+  const open = await db.paymentInstallment.count({ where: { planId: inst.planId, status: { not: 'PAID' } } });
+  if (!open) {
+    await db.paymentPlan.updateMany({ where: { id: inst.planId, status: 'ACTIVE' }, data: { status: 'COMPLETED', completedAt: new Date() } });
+  }
+}
+
+/**
+ * Cancels a plan and its unpaid installments. Paid installments stay as they are;
+ * refunding them is a separate (admin) decision. Returns the plan or null if it wasn't ACTIVE.
+ */
+export async function cancelPaymentPlan({ planId, actorId = null, reason }) {
+  const now = new Date();
+  const plan = await prisma.$transaction(async (tx) => {
+    const res = await tx.paymentPlan.updateMany({
+      where: { id: planId, status: 'ACTIVE' },
+      data: { status: 'CANCELLED', cancelledAt: now, cancelReason: reason }
+    });
+    if (!res.count) return null;
+    await tx.paymentInstallment.updateMany({ where: { planId, status: { in: UNPAID_STATUSES } }, data: { status: 'CANCELLED' } });
+    return tx.paymentPlan.findUnique({ where: { id: planId }, include: { installments: { orderBy: { sequence: 'asc' } } } });
+  });
+  if (!plan) return null;
+
+  await auditLog({
+    actorId,
+    entityType: 'PaymentPlan',
+    entityId: plan.id,
+    action: 'payment_plan.cancelled',
+    metadata: { reason, quotationId: plan.quotationId }
+  });
+  return plan;
+}
+
+// Adds paid / outstanding / overdue totals and the next due installment to a plan.
+export function planView(plan) {
+  const installments = [...(plan.installments || [])].sort((a, b) => a.sequence - b.sequence);
+  const sum = (list) => list.reduce((s, i) => s + i.amountCents, 0);
+  const paid = sum(installments.filter((i) => i.status === 'PAID'));
+  const outstanding = plan.status === 'ACTIVE' ? sum(installments.filter((i) => UNPAID_STATUSES.includes(i.status))) : 0;
+  const overdue = sum(installments.filter((i) => i.status === 'OVERDUE'));
+  const next = plan.status === 'ACTIVE' ? installments.find((i) => UNPAID_STATUSES.includes(i.status)) : null;
+
+  return {
+    ...plan,
+    installments: installments.map((i) => ({ ...i, amount: moneyView(i.amountCents, plan.currency) })),
+    total: moneyView(plan.totalCents, plan.currency),
+    paid: moneyView(paid, plan.currency),
+    outstanding: moneyView(outstanding, plan.currency),
+    overdue: moneyView(overdue, plan.currency),
+    nextDue: next ? { installmentId: next.id, dueAt: next.dueAt, amount: moneyView(next.amountCents, plan.currency) } : null
+  };
+}
+
+// Per-currency paid / outstanding / overdue totals across plan views.
+export function summarizePlans(views) {
+  const byCurrency = new Map();
+  for (const v of views) {
+    const t = byCurrency.get(v.currency) || { currency: v.currency, plans: 0, paidCents: 0, outstandingCents: 0, overdueCents: 0 };
+    t.plans += 1;
+    t.paidCents += v.paid.amountMinor;
+    t.outstandingCents += v.outstanding.amountMinor;
+    t.overdueCents += v.overdue.amountMinor;
+    byCurrency.set(v.currency, t);
+  }
+  return [...byCurrency.values()].map((t) => ({
+    currency: t.currency,
+    plans: t.plans,
+    paid: moneyView(t.paidCents, t.currency),
+    outstanding: moneyView(t.outstandingCents, t.currency),
+    overdue: moneyView(t.overdueCents, t.currency)
+  }));
+}
+
+async function remindUpcoming(now, limit) {
+  const due = await prisma.paymentInstallment.findMany({
+    where: {
+      status: 'SCHEDULED',
+      reminderSentAt: null,
+      dueAt: { gt: now, lte: new Date(now.getTime() + config.installmentReminderDays * DAY_MS) },
+      plan: { status: 'ACTIVE' }
+    },
+    include: { plan: true },
+    take: limit
+  });
+
+  for (const i of due) {
+    await prisma.paymentInstallment.update({ where: { id: i.id }, data: { reminderSentAt: now } });
+    await prisma.notification.create({
+      data: {
+        userId: i.plan.userId,
+        type: 'installment.due_soon',
+        title: `${i.label} payment due soon`,
+        body: `${formatMoney(i.amountCents, i.plan.currency)} is due on ${i.dueAt.toISOString().slice(0, 10)} (payment plan ${i.plan.id}).`
+      }
+    });
+  }
+  return due.length;
+}
+
+async function markOverdue(now, limit) {
+  const due = await prisma.paymentInstallment.findMany({
+    where: { status: 'SCHEDULED', dueAt: { lte: now }, plan: { status: 'ACTIVE' } },
+    include: { plan: true },
+    take: limit
+  });
+
+  for (const i of due) {
+    const res = await prisma.paymentInstallment.updateMany({
+      where: { id: i.id, status: 'SCHEDULED' },
+      data: { status: 'OVERDUE', overdueAt: now }
+    });
+    if (!res.count) continue; // paid meanwhile
+    const cancelOn = new Date(i.dueAt.getTime() + i.plan.cancelAfterOverdueDays * DAY_MS);
+    await prisma.notification.create({
+      data: {
+        userId: i.plan.userId,
+        type: 'installment.overdue',
+        title: `${i.label} payment overdue`,
+        body: `${formatMoney(i.amountCents, i.plan.currency)} was due on ${i.dueAt.toISOString().slice(0, 10)}. Pay by ${cancelOn.toISOString().slice(0, 10)} to keep your booking.`
+      }
+    });
+  }
+  return due.length;
+}
+
+// Cancels plans whose overdue installment is past the plan's grace period, and their booking.
+async function cancelLapsed(now, limit) {
+  // The grace period is per plan: one dueAt bound per distinct value, so only lapsed
+  // installments are fetched and ones still in their grace period can't fill the batch.
+  const graces = await prisma.paymentPlan.groupBy({ by: ['cancelAfterOverdueDays'], where: { status: 'ACTIVE' } });
+  if (!graces.length) return 0;
+  const due = await prisma.paymentInstallment.findMany({
+    where: {
+      status: 'OVERDUE',
+      plan: { status: 'ACTIVE' },
+      OR: graces.map(({ cancelAfterOverdueDays: days }) => ({
+        plan: { cancelAfterOverdueDays: days },
+        dueAt: { lte: new Date(now.getTime() - days * DAY_MS) }
+      }))
+    },
+    include: { plan: { include: { quotation: { include: { provider: true } } } } },
+    orderBy: { dueAt: 'asc' },
+    take: limit
+  });
+
+  let cancelled = 0;
+  for (const i of due) {
+    const reason = `${i.label} overdue since ${i.dueAt.toISOString().slice(0, 10)}`;
+    const plan = await cancelPaymentPlan({ planId: i.plan.id, reason });
+    if (!plan) continue;
+    cancelled++;
+
+    try {
+      await transitionQuotation({
+        quotationId: plan.quotationId,
+        to: 'CANCELLED',
+        actor: { id: null, role: 'SYSTEM' },
+        reason: 'payment_plan_overdue'
+      });
+    } catch (e) {
+      if (e.code !== 'status_conflict' && e.code !== 'illegal_transition') throw e;
+    }
+
+    const q = i.plan.quotation;
+    await prisma.notification.create({
+      data: {
+        userId: q.userId,
+        type: 'payment_plan.cancelled',
+        title: 'Booking cancelled for non-payment',
+        body: `Your payment plan ${plan.id} was cancelled: ${reason}. Contact support about installments already paid.`
+      }
+    });
+    await prisma.notification.create({
+      data: {
+        userId: q.provider.userId,
+        type: 'payment_plan.cancelled',
+        title: 'Booking cancelled for non-payment',
+        body: `Quotation ${q.id} was cancelled because the patient missed a payment (${reason}).`
+      }
+    });
+  }
+  return cancelled;
+}
+
+export async function runPaymentPlanJobs({ limit = 100 } = {}) {
+  const now = new Date();
+  const reminded = await remindUpcoming(now, limit);
+  const overdue = await markOverdue(now, limit);
+  const cancelled = await cancelLapsed(now, limit);
+  return { reminded, overdue, cancelled };
+}
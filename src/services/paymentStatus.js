@@ -0,0 +1,161 @@
+import { prisma } from '../prisma.js';
+import { settleInstallment } from './paymentPlans.js';
+import { postPaymentHeld } from './ledger.js';
+
+/**
+ * Payment status state machine.
+ *
+ * TRANSITIONS[from][to] lists the actor roles allowed to make that move:
+ * - ADMIN: API callers with the ADMIN role (capture, release, refund)
+ * - STRIPE: webhook events
+ * - SYSTEM: background jobs and internal ledgers (e.g. refunds, automatic release,
+ *   capturing authorizations about to expire)
+ * - USER: the patient confirming their treatment (early escrow release)
+ *
+ * Every status change goes through transitionPayment, which writes a
+ * PaymentStatusHistory row and an audit entry in the same transaction.
+ * Webhooks pass ignoreOutOfOrder so a late event (e.g. amount_capturable_updated
+ * after release) is recorded and dropped instead of moving the payment backwards.
+ */
+export const TRANSITIONS = {
+  INITIATED: {
+    AUTHORIZED: ['STRIPE'],
+    HELD: ['STRIPE'],
+    FAILED: ['STRIPE', 'SYSTEM', 'ADMIN']
+  },
+  AUTHORIZED: {
+    HELD: ['STRIPE', 'ADMIN', 'SYSTEM'],
+    FAILED: ['STRIPE', 'SYSTEM', 'ADMIN']
+  },
+  HELD: {
+    RELEASED: ['ADMIN', 'SYSTEM', 'USER'],
+    PARTIALLY_REFUNDED: ['ADMIN', 'STRIPE', 'SYSTEM'],
+    REFUNDED: ['ADMIN', 'STRIPE', 'SYSTEM']
+  },
+  RELEASED: {
+    PARTIALLY_REFUNDED: ['ADMIN', 'STRIPE', 'SYSTEM'],
+    REFUNDED: ['ADMIN', 'STRIPE', 'SYSTEM']
+  },
+  // HELD/RELEASED targets below are refund reversals (a refund failing after it succeeded).
+  PARTIALLY_REFUNDED: {
+    REFUNDED: ['ADMIN', 'STRIPE', 'SYSTEM'],
+    HELD: ['STRIPE', 'SYSTEM'],
+    RELEASED: ['STRIPE', 'SYSTEM']
+  },
+  REFUNDED: {
+    PARTIALLY_REFUNDED: ['STRIPE', 'SYSTEM'],
+    HELD: ['STRIPE', 'SYSTEM'],
+    RELEASED: ['STRIPE', 'SYSTEM']
+  },
+  // A failed attempt can still succeed on the same PaymentIntent with another card, and a
+  // lapsed authorization is renewed by a re-authorization (see authorizations.js).
+  FAILED: {
+    AUTHORIZED: ['STRIPE'],
+    HELD: ['STRIPE']
+  }
+};
+
+export function allowedTransitions(from, role) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+function transitionError(code, message, details) {
+  const e = new Error(message);
+  e.code = code;
+  e.details = details;
+  return e;
+}
+
+/**
+ * Moves a payment to `to` if the table allows it for `actor.role`, applying `data`
+ * (extra Payment fields) with it. Moving to the current status only applies `data`.
+ * `effects(tx, payment)` runs in the same transaction. Pass `tx` to join a caller's transaction.
+ *
+ * Returns { payment, changed, ignored }. Throws coded errors:
+ * - payment_not_found
+ * - illegal_transition / transition_forbidden (unless ignoreOutOfOrder)
+ * - status_conflict (status changed concurrently)
+ */
+export async function transitionPayment({
+  paymentId,
+  to,
+  actor,
+  reason = null,
+  metadata = null,
+  data = {},
+  effects = null,
+  ignoreOutOfOrder = false,
+  tx = null
+}) {
+  const run = async (db) => {
+    const p = await db.payment.findUnique({ where: { id: paymentId } });
+    if (!p) throw transitionError('payment_not_found', 'payment_not_found');
+
+    const from = p.status;
+    if (from === to) {
+      const payment = Object.keys(data).length ? await db.payment.update({ where: { id: p.id }, data }) : p;
+      if (effects) await effects(db, payment);
+      return { payment, changed: false, ignored: false };
+    }
+
+    const edge = TRANSITIONS[from]?.[to];
+    if (!edge?.includes(actor.role)) {
+      if (ignoreOutOfOrder) {
+        await db.auditLog.create({
+          data: {
+            actorId: actor.id || null,
+            entityType: 'Payment',
+            entityId: p.id,
+            action: 'payment.status.ignored',
+            metadata: { from, to, actorRole: actor.role, reason, ...(metadata || {}) }
+          }
+        });
+        return { payment: p, changed: false, ignored: true };
+      }
+      throw transitionError(
+        edge ? 'transition_forbidden' : 'illegal_transition',
+        edge ? `${actor.role} may not move payment from ${from} to ${to}.` : `Cannot move payment from ${from} to ${to}.`,
+        { from, to, allowed: allowedTransitions(from, actor.role) }
+      );
+    }
+
+    // Compare-and-set on the previous status so concurrent transitions cannot both win.
+    const res = await db.payment.updateMany({ where: { id: p.id, status: from }, data: { ...data, status: to } });
+    if (res.count !== 1) throw transitionError('status_conflict', 'Payment status changed concurrently.', { from, to });
+
+    await db.paymentStatusHistory.create({
+      data: { paymentId: p.id, fromStatus: from, toStatus: to, actorId: actor.id || null, actorRole: actor.role, reason }
+    });
+    await db.auditLog.create({
+      data: {
+        actorId: actor.id || null,
+        entityType: 'Payment',
+        entityId: p.id,
+        action: 'payment.status.changed',
+        metadata: { from, to, actorRole: actor.role, reason, ...(metadata || {}) }
+      }
+    });
+
+    const payment = await db.payment.findUnique({ where: { id: p.id } });
+    // Funds held for a payment plan installment settle that installment; the ledger
+    // books the funds the first time the payment is held (no-op on refund reversals).
+    if (to === 'HELD') {
+      await settleInstallment(db, payment);
+      await postPaymentHeld(db, payment);
+    }
+    if (effects) await effects(db, payment);
+    return { payment, changed: true, ignored: false };
+  };
+
+  return tx ? run(tx) : prisma.$transaction(run);
+}
+
+// Maps a transition error to an HTTP status for route handlers.
+export function transitionErrorStatus(e) {
+  if (e.code === 'payment_not_found') return 404;
+  if (e.code === 'transition_forbidden') return 403;
+  if (e.code === 'illegal_transition' || e.code === 'status_conflict') return 409;
+  return 500;
+}
@@ -2,10 +2,14 @@ import { prisma } from '../prisma.js';
 import { config } from '../config.js';
 import { stripe } from '../stripe.js';
 import { auditLog } from './audit.js';
+import { grossShares, FEE_PAYMENT_INCLUDE } from './commissions.js';
+import { postPaymentReleased, postPayoutPaid } from './ledger.js';
+import { frozenPaymentIds } from './disputes.js';
 
 /**
  * Payout scheduling model:
  * - When a payment is RELEASED, we create a Payout scheduledAt = now + N days
+ *   (one per provider: a trip package payment is split across its component providers)
  * - A periodic job (or admin-triggered endpoint) runs and pays eligible payouts
  *
  * NOTE: True marketplace payouts require Stripe Connect (or equivalent) and
@@ -13,55 +17,105 @@ import { auditLog } from './audit.js';
  * but intentionally safe-by-default.
  */
 
+// Returns [{ providerId, amountCents, grossCents, commissionCents, processingFeeCents }]
+// describing who gets what from a payment: the stored net shares (see commissions.js),
+// or gross shares for payments created before commissions.
+// Payments charged through an FX rate lock settle in the offer currency.
+// Refunds made before release reduce every share proportionally.
+function payoutShares(payment) {
+  const shares = payment.feeBreakdown
+    ? payment.feeBreakdown.shares.map((s) => ({
+        providerId: s.providerId,
+        amountCents: s.netCents,
+        grossCents: s.grossCents,
+        commissionCents: s.commissionCents,
+        processingFeeCents: s.processingFeeCents
+      }))
+    : grossShares(payment).map((s) => ({
+        providerId: s.providerId,
+        amountCents: s.amountCents,
+        grossCents: s.amountCents,
+        commissionCents: 0,
+        processingFeeCents: 0
+      }));
+  if (!payment.refundedCents) return shares;
+
+  const kept = (payment.amountCents - payment.refundedCents) / payment.amountCents;
+  return shares
+    .map((s) => ({
+      ...s,
+      amountCents: Math.round(s.amountCents * kept),
+      grossCents: Math.round(s.grossCents * kept),
+      commissionCents: Math.round(s.commissionCents * kept)
+    }))
+    .filter((s) => s.amountCents > 0);
+}
+
+// Schedules the payouts for a released payment. Idempotent per provider.
+// Returns the payouts (with provider) for the payment.
 export async function schedulePayoutForPayment(paymentId) {
   const payment = await prisma.payment.findUnique({
     where: { id: paymentId },
-    include: { quotation: { include: { provider: true } } }
+    include: FEE_PAYMENT_INCLUDE
   });
   if (!payment) {
     const e = new Error('payment_not_found');
     e.code = 'payment_not_found';
     throw e;
   }
-  if (payment.status !== 'RELEASED') {
+  if (!['RELEASED', 'PARTIALLY_REFUNDED'].includes(payment.status) || !payment.providerReleasedAt) {
     const e = new Error('payment_not_released');
     e.code = 'payment_not_released';
     throw e;
   }
-  if (!payment.quotation?.provider) {
+  const shares = payoutShares(payment);
+  if (!shares.length && payment.refundedCents) return [];
+  if (!shares.length) {
     const e = new Error('payment_missing_provider');
     e.code = 'payment_missing_provider';
     throw e;
   }
-  const existing = await prisma.payout.findUnique({ where: { paymentId: payment.id } });
-  if (existing) return existing;
 
-  const providerId = payment.quotation.provider.id;
   const scheduledAt = new Date(Date.now() + config.payoutIntervalDays * 24 * 60 * 60 * 1000);
 
-  const payout = await prisma.payout.create({
-    data: {
-      providerId,
-      paymentId: payment.id,
-      amountCents: payment.amountCents,
-      currency: payment.currency,
-      status: 'PENDING',
-      scheduledAt
-    }
-  });
-  await auditLog({
-    actorId: null,
-    entityType: 'Payout',
-    entityId: payout.id,
-    action: 'payout.scheduled',
-    metadata: { paymentId: payment.id, providerId, scheduledAt }
-  });
-  return payout;
+  for (const share of shares) {
+    const existing = await prisma.payout.findUnique({
+      where: { paymentId_providerId: { paymentId: payment.id, providerId: share.providerId } }
+    });
+    if (existing) continue;
+
+    const payout = await prisma.payout.create({
+      data: {
+        providerId: share.providerId,
+        paymentId: payment.id,
+        amountCents: share.amountCents,
+        grossCents: share.grossCents,
+        commissionCents: share.commissionCents,
+        processingFeeCents: share.processingFeeCents,
+        currency: payment.settlementCurrency ?? payment.currency,
+        status: 'PENDING',
+        scheduledAt
+      }
+    });
+    await auditLog({
+      actorId: null,
+      entityType: 'Payout',
+      entityId: payout.id,
+      action: 'payout.scheduled',
+      metadata: { paymentId: payment.id, providerId: share.providerId, scheduledAt, tripPackageId: payment.tripPackageId }
+    });
+  }
+
+  // Books the release: escrow -> provider payables / platform revenue.
+  await postPaymentReleased(prisma, payment.id);
+
+  return prisma.payout.findMany({ where: { paymentId: payment.id }, include: { provider: true } });
 }
 
+// Pays due PENDING payouts; payouts of payments frozen by a dispute wait until it is resolved.
 export async function runDuePayouts({ limit = 25 } = {}) {
   const due = await prisma.payout.findMany({
-    where: { status: 'PENDING', scheduledAt: { lte: new Date() } },
+    where: { status: 'PENDING', scheduledAt: { lte: new Date() }, paymentId: { notIn: await frozenPaymentIds() } },
     include: { provider: true, payment: true },
     orderBy: { scheduledAt: 'asc' },
     take: limit
@@ -76,12 +130,22 @@ export async function runDuePayouts({ limit = 25 } = {}) {
           amount: p.amountCents,
           currency: p.currency.toLowerCase(),
           destination: p.provider.stripeAccountId,
-          metadata: { payoutId: p.id, paymentId: p.paymentId, providerId: p.providerId }
+          transfer_group: p.paymentId,
+          metadata: {
+            payoutId: p.id,
+            paymentId: p.paymentId,
+            providerId: p.providerId,
+            application_fee_cents: String(p.commissionCents),
+            processing_fee_cents: String(p.processingFeeCents)
+          }
         });
 
-        const updated = await prisma.payout.update({
-          where: { id: p.id },
-          data: { status: 'PAID', paidAt: new Date(), externalRef: transfer.id, error: null }
+        await prisma.$transaction(async (tx) => {
+          const updated = await tx.payout.update({
+            where: { id: p.id },
+            data: { status: 'PAID', paidAt: new Date(), externalRef: transfer.id, error: null }
+          });
+          await postPayoutPaid(tx, updated);
         });
         await auditLog({
           actorId: null,
@@ -0,0 +1,45 @@
+import { prisma } from '../prisma.js';
+import { computePriceConfidence } from './confidence.js';
+
+/**
+ * Inputs for computePriceConfidence taken from real data:
+ * - lastUpdatedDays: age of the procedure's last price change (priceUpdatedAt)
+ * - sampleSize: number of quotes (offers) providers actually issued for it
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns Map<procedureId, { lastUpdatedDays, lastPriceChangeAt, sampleSize }>.
+export async function getPriceSignals(procedures) {
+  const now = Date.now();
+  const result = new Map(
+    procedures.map((p) => [
+      p.id,
+      {
+        lastUpdatedDays: Math.floor((now - new Date(p.priceUpdatedAt).getTime()) / DAY_MS),
+        lastPriceChangeAt: p.priceUpdatedAt,
+        sampleSize: 0
+      }
+    ])
+  );
+  if (!procedures.length) return result;
+
+  const offers = await prisma.quotationOffer.findMany({
+    where: { status: { not: 'WITHDRAWN' }, quotation: { procedureId: { in: procedures.map((p) => p.id) } } },
+    select: { quotation: { select: { procedureId: true } } }
+  });
+  for (const o of offers) result.get(o.quotation.procedureId).sampleSize += 1;
+
+  return result;
+}
+
+// Provider-entered range scored with real recency and quote count.
+export async function procedureConfidence(procedure) {
+  const signals = (await getPriceSignals([procedure])).get(procedure.id);
+  const confidence = computePriceConfidence({
+    source: 'PROVIDER',
+    lastUpdatedDays: signals.lastUpdatedDays,
+    sampleSize: signals.sampleSize
+  });
+  return { confidence, signals };
+}
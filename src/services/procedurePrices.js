@@ -0,0 +1,69 @@
+import { prisma } from '../prisma.js';
+import { convertAmount } from './fx.js';
+import { roundMajor } from './money.js';
+
+/**
+ * Procedures are priced by providers in their own currency (priceMin/priceMax/priceCurrency).
+ * priceMinUSD/priceMaxUSD are derived USD equivalents used only to filter and sort across
+ * currencies in SQL; anything shown to a patient is converted from the native price.
+ */
+
+// USD equivalents of a native price range. Throws fx_rate_missing if no rate is stored.
+export async function usdEquivalent({ priceMin, priceMax, priceCurrency }) {
+  if (priceCurrency === 'USD') return { priceMinUSD: priceMin, priceMaxUSD: priceMax };
+  const { rate } = await convertAmount({ amount: 1, from: priceCurrency, to: 'USD' });
+  return { priceMinUSD: Math.floor(priceMin * rate), priceMaxUSD: Math.ceil(priceMax * rate) };
+}
+
+/**
+ * Converts a procedure's native range into `currency`.
+ * Pass a Map as `rates` to reuse rates across many procedures (search results).
+ * Returns { min, max, currency, rate, asOf }; throws fx_rate_missing.
+ */
+export async function convertProcedurePrice(procedure, currency, rates = new Map()) {
+  const target = currency.toUpperCase();
+  const from = procedure.priceCurrency;
+  if (from === target) return { min: procedure.priceMin, max: procedure.priceMax, currency: target, rate: 1, asOf: null };
+
+  const key = `${from}->${target}`;
+  if (!rates.has(key)) rates.set(key, await convertAmount({ amount: 1, from, to: target }));
+  const fx = rates.get(key);
+
+  return {
+    min: roundMajor(procedure.priceMin * fx.rate, target),
+    max: roundMajor(procedure.priceMax * fx.rate, target),
+    currency: target,
+    rate: fx.rate,
+    asOf: fx.asOf || null
+  };
+}
+
+/**
+ * Recomputes the USD equivalents of non-USD procedures from the latest rates (see cron in
+ * index.js). Procedures whose currency has no rate keep their previous values.
+ */
+export async function refreshUsdPrices({ limit = 500 } = {}) {
+  const procedures = await prisma.procedure.findMany({
+    where: { priceCurrency: { not: 'USD' } },
+    orderBy: { usdPricedAt: 'asc' },
+    take: limit
+  });
+
+  let updated = 0;
+  const missing = new Set();
+  const now = new Date();
+  for (const p of procedures) {
+    let usd;
+    try {
+      usd = await usdEquivalent(p);
+    } catch (e) {
+      if (e.code !== 'fx_rate_missing') throw e;
+      missing.add(p.priceCurrency);
+      continue;
+    }
+    await prisma.procedure.update({ where: { id: p.id }, data: { ...usd, usdPricedAt: now } });
+    if (usd.priceMinUSD !== p.priceMinUSD || usd.priceMaxUSD !== p.priceMaxUSD) updated += 1;
+  }
+
+  return { checked: procedures.length, updated, missingRates: [...missing] };
+}
@@ -0,0 +1,140 @@
+import { prisma } from '../prisma.js';
+import { auditLog } from './audit.js';
+import { publish } from './realtime.js';
+
+/**
+ * Quotation status state machine.
+ *
+ * TRANSITIONS[from][to] lists the actor roles allowed to make that move.
+ * SYSTEM is used by background jobs (e.g. SLA expiry, overdue payment plans), never by API callers.
+ * Terminal states (DECLINED, EXPIRED, CANCELLED) have no outgoing transitions.
+ */
+export const TRANSITIONS = {
+  OPEN: {
+    IN_REVIEW: ['PROVIDER', 'ADMIN'],
+    RESPONDED: ['PROVIDER', 'ADMIN'],
+    DECLINED: ['PROVIDER', 'ADMIN'],
+    CANCELLED: ['USER', 'ADMIN'],
+    EXPIRED: ['SYSTEM', 'ADMIN']
+  },
+  IN_REVIEW: {
+    RESPONDED: ['PROVIDER', 'ADMIN'],
+    DECLINED: ['PROVIDER', 'ADMIN'],
+    CANCELLED: ['USER', 'ADMIN'],
+    EXPIRED: ['SYSTEM', 'ADMIN']
+  },
+  RESPONDED: {
+    IN_REVIEW: ['PROVIDER', 'ADMIN'],
+    ACCEPTED: ['USER', 'ADMIN'],
+    DECLINED: ['USER', 'ADMIN'],
+    CANCELLED: ['USER', 'ADMIN'],
+    EXPIRED: ['SYSTEM', 'ADMIN']
+  },
+  ACCEPTED: {
+    CANCELLED: ['USER', 'ADMIN', 'SYSTEM']
+  },
+  DECLINED: {},
+  EXPIRED: {},
+  CANCELLED: {}
+};
+
+export function allowedTransitions(from, role) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+function transitionError(code, message, details) {
+  const e = new Error(message);
+  e.code = code;
+  e.details = details;
+  return e;
+}
+
+/**
+ * Moves a quotation to `to` if the table allows it for `actor.role`.
+ * Writes a QuotationStatusHistory row and an audit entry. `effects(tx)` runs
+ * inside the same transaction for writes that must commit with the status change.
+ *
+ * Throws coded errors:
+ * - quotation_not_found
+ * - illegal_transition (no such edge from the current status)
+ * - transition_forbidden (edge exists but not for this role)
+ * - quotation_paid (the patient cancelling a booking with a payment; refund or dispute it instead)
+ * - quotation_in_trip (the patient cancelling a quotation bundled into an active trip)
+ * - status_conflict (status changed concurrently)
+ */
+export async function transitionQuotation({ quotationId, to, actor, reason = null, metadata = null, effects = null }) {
+  const q = await prisma.quotationRequest.findUnique({ where: { id: quotationId } });
+  if (!q) throw transitionError('quotation_not_found', 'quotation_not_found');
+
+  const from = q.status;
+  const edge = TRANSITIONS[from]?.[to];
+  if (!edge) {
+    throw transitionError('illegal_transition', `Cannot move quotation from ${from} to ${to}.`, {
+      from,
+      to,
+      allowed: allowedTransitions(from, actor.role)
+    });
+  }
+  if (!edge.includes(actor.role)) {
+    throw transitionError('transition_forbidden', `${actor.role} may not move quotation from ${from} to ${to}.`, {
+      from,
+      to,
+      allowed: allowedTransitions(from, actor.role)
+    });
+  }
+
+  // Patients can't walk away from held funds: a paid booking is cancelled by refunding
+  // the payment (admin) or through a dispute.
+  if (from === 'ACCEPTED' && to === 'CANCELLED' && actor.role === 'USER') {
+    const paid = await prisma.payment.findFirst({ where: { quotationId: q.id, status: { not: 'FAILED' } } });
+    if (paid) throw transitionError('quotation_paid', 'Paid bookings are cancelled through a refund or a dispute.', { paymentId: paid.id });
+    const inTrip = await prisma.tripComponent.findFirst({ where: { quotationId: q.id, package: { status: 'ACTIVE' } } });
+    if (inTrip) throw transitionError('quotation_in_trip', 'The quotation is part of an active trip.', { tripPackageId: inTrip.packageId });
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Compare-and-set on the previous status so concurrent transitions cannot both win.
+    const res = await tx.quotationRequest.updateMany({
+      where: { id: q.id, status: from },
+      data: { status: to }
+    });
+    if (res.count !== 1) {
+      throw transitionError('status_conflict', 'Quotation status changed concurrently.', { from, to });
+    }
+    await tx.quotationStatusHistory.create({
+      data: {
+        quotationId: q.id,
+        fromStatus: from,
+        toStatus: to,
+        actorId: actor.id || null,
+        actorRole: actor.role,
+        reason
+      }
+    });
+    if (effects) await effects(tx);
+    return tx.quotationRequest.findUnique({ where: { id: q.id } });
+  });
+
+  await auditLog({
+    actorId: actor.id || null,
+    entityType: 'QuotationRequest',
+    entityId: q.id,
+    action: 'quotation.status.changed',
+    metadata: { from, to, actorRole: actor.role, reason, ...(metadata || {}) }
+  });
+
+  publish(q.id, 'status.changed', { quotationId: q.id, from, to, actorRole: actor.role, reason, at: updated.updatedAt });
+
+  return updated;
+}
+
+// Maps a transition error to an HTTP status for route handlers.
+export function transitionErrorStatus(e) {
+  if (e.code === 'quotation_not_found') return 404;
+  if (e.code === 'transition_forbidden') return 403;
+  if (e.code === 'illegal_transition' || e.code === 'status_conflict') return 409;
+  if (e.code === 'quotation_paid' || e.code === 'quotation_in_trip') return 409;
+  return 500;
+}
@@ -0,0 +1,69 @@
+/**
+ * In-process pub/sub for quotation threads, delivered over Server-Sent Events.
+ *
+ * Subscribers are kept in memory per quotation, so this only reaches clients
+ * connected to the same API instance. Running several instances requires a
+ * shared broker (e.g. Postgres LISTEN/NOTIFY or Redis) behind publish().
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// quotationId -> Set<{ userId, res }>
+const channels = new Map();
+
+function write(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Attaches an SSE response to a quotation thread. Returns an unsubscribe function.
+export function subscribe(quotationId, userId, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const sub = { userId, res };
+  if (!channels.has(quotationId)) channels.set(quotationId, new Set());
+  channels.get(quotationId).add(sub);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    const set = channels.get(quotationId);
+    if (!set) return;
+    set.delete(sub);
+    if (!set.size) channels.delete(quotationId);
+  };
+  res.on('close', unsubscribe);
+
+  write(res, 'ready', { quotationId });
+  return unsubscribe;
+}
+
+// Sends an event to everyone on the thread, optionally skipping one user (the sender).
+export function publish(quotationId, event, data, { exceptUserId = null } = {}) {
+  const set = channels.get(quotationId);
+  if (!set) return 0;
+  let delivered = 0;
+  for (const sub of set) {
+    if (exceptUserId && sub.userId === exceptUserId) continue;
+    write(sub.res, event, data);
+    delivered++;
+  }
+  return delivered;
+}
+
+// True when the user currently has a live stream open on this thread.
+export function isListening(quotationId, userId) {
+  const set = channels.get(quotationId);
+  if (!set) return false;
+  for (const sub of set) {
+    if (sub.userId === userId) return true;
+  }
+  return false;
+}
@@ -0,0 +1,352 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { stripe } from '../stripe.js';
+import { auditLog } from './audit.js';
+import { formatMoney } from './money.js';
+import { transitionPayment } from './paymentStatus.js';
+import { postRefund, postRefundReversal } from './ledger.js';
+
+/**
+ * Refund ledger:
+ * - every refund (full or partial, API or Stripe dashboard) is a Refund row
+ * - PENDING refunds reserve their amount so concurrent refunds can't exceed the charge
+ * - when a refund SUCCEEDS, Payment.refundedCents grows, the payment becomes
+ *   PARTIALLY_REFUNDED / REFUNDED and unpaid provider payouts shrink proportionally
+ * - a refund that FAILS after succeeding (possible for some methods) is reversed
+ *
+ * Stripe webhooks (refund.updated / refund.failed / charge.refunded) feed
+ * syncStripeRefund so the local ledger follows Stripe.
+ */
+
+export const REFUNDABLE_STATUSES = ['HELD', 'RELEASED', 'PARTIALLY_REFUNDED'];
+
+const STRIPE_REFUND_STATUS = {
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'CANCELED',
+  pending: 'PENDING',
+  requires_action: 'PENDING'
+};
+
+function refundError(code, message) {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+}
+
+// Takes a row lock on the payment for the rest of the transaction.
+async function lockPayment(tx, paymentId) {
+  return tx.payment.update({ where: { id: paymentId }, data: { updatedAt: new Date() } });
+}
+
+// Amount still refundable: charged minus succeeded and in-flight refunds.
+async function remainingRefundable(tx, payment) {
+  const agg = await tx.refund.aggregate({
+    where: { paymentId: payment.id, status: { in: ['PENDING', 'SUCCEEDED'] } },
+    _sum: { amountCents: true }
+  });
+  return payment.amountCents - (agg._sum.amountCents || 0);
+}
+
+/**
+ * Shrinks the payment's payouts by the refunded share. Unpaid payouts (PENDING/FAILED)
+ * are reduced, and CANCELLED when nothing is left; PAID ones can't be, so they are
+ * reported as shortfalls for an admin to claw back.
+ * Returns [{ payoutId, providerId, amountCents, currency, shortfall }].
+ */
+async function reducePayouts(tx, payment, refundCents) {
+  const payouts = await tx.payout.findMany({ where: { paymentId: payment.id } });
+  if (!payouts.length) return []; // not released yet: schedulePayoutForPayment nets out refunds
+
+  const remainingBefore = payment.amountCents - payment.refundedCents;
+  const full = refundCents >= remainingBefore;
+  const adjustments = [];
+  for (const p of payouts) {
+    if (p.status === 'CANCELLED') continue;
+    const cut = full ? p.amountCents : Math.min(p.amountCents, Math.round((p.amountCents * refundCents) / remainingBefore));
+    if (cut <= 0) continue;
+
+    if (p.status === 'PAID') {
+      adjustments.push({ payoutId: p.id, providerId: p.providerId, amountCents: cut, currency: p.currency, shortfall: true });
+      continue;
+    }
+    const amountCents = p.amountCents - cut;
+    await tx.payout.update({
+      where: { id: p.id },
+      data: { amountCents, status: amountCents > 0 ? p.status : 'CANCELLED' }
+    });
+    adjustments.push({ payoutId: p.id, providerId: p.providerId, amountCents: cut, currency: p.currency, shortfall: false });
+  }
+  return adjustments;
+}
+
+// Gives back what reducePayouts took, for payouts that have not been paid since.
+async function restorePayouts(tx, adjustments) {
+  for (const a of adjustments || []) {
+    if (a.shortfall) continue;
+    const p = await tx.payout.findUnique({ where: { id: a.payoutId } });
+    if (!p || p.status === 'PAID') continue;
+    await tx.payout.update({
+      where: { id: p.id },
+      data: { amountCents: p.amountCents + a.amountCents, status: p.status === 'CANCELLED' ? 'PENDING' : p.status }
+    });
+  }
+}
+
+async function notifyRefundOutcome(refund, payment, adjustments, { reversed = false } = {}) {
+  const amount = formatMoney(refund.amountCents, refund.currency);
+
+  if (refund.status === 'SUCCEEDED') {
+    await prisma.notification.create({
+      data: {
+        userId: payment.userId,
+        type: 'payment.refunded',
+        title: payment.status === 'REFUNDED' ? 'Refund processed' : 'Partial refund processed',
+        body: refund.reason ? `${amount} refunded: ${refund.reason}` : `${amount} refunded for payment ${payment.id}.`
+      }
+    });
+
+    const providers = await prisma.providerProfile.findMany({
+      where: { id: { in: [...new Set(adjustments.map((a) => a.providerId))] } },
+      select: { id: true, userId: true }
+    });
+    for (const pr of providers) {
+      const cut = adjustments.filter((a) => a.providerId === pr.id).reduce((sum, a) => sum + a.amountCents, 0);
+      const payout = adjustments.find((a) => a.providerId === pr.id);
+      await prisma.notification.create({
+        data: {
+          userId: pr.userId,
+          type: 'payout.reduced',
+          title: 'Payout adjusted for a refund',
+          body: `A patient refund on payment ${payment.id} reduced your payout ${payout.payoutId} by ${formatMoney(cut, payout.currency)}.`
+        }
+      });
+    }
+  }
+
+  const shortfalls = adjustments.filter((a) => a.shortfall);
+  if (shortfalls.length || reversed) {
+    const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+    const body = reversed
+      ? `Refund ${refund.id} (${amount}) on payment ${payment.id} failed after succeeding; the payment ledger was restored. Check payouts ${(adjustments || []).map((a) => a.payoutId).join(', ') || '(none)'}.`
+      : `Refund ${refund.id} on payment ${payment.id} hit already-paid payouts (${shortfalls.map((a) => a.payoutId).join(', ')}); recover the difference from the provider.`;
+    for (const a of admins) {
+      await prisma.notification.create({
+        data: { userId: a.id, type: reversed ? 'refund.reversed' : 'refund.payout_shortfall', title: 'Refund needs attention', body }
+      });
+    }
+  }
+}
+
+/**
+ * Moves a refund to `status` and applies the ledger effects. Idempotent: repeating a status
+ * (webhook retries, API + webhook racing) changes nothing. FAILED/CANCELED are final.
+ * `actor` is recorded on the payment status change (SYSTEM unless the caller knows better).
+ * Returns { refund, changed }.
+ */
+export async function applyRefundStatus(refundId, status, { stripeRefundId, failureReason, actor = { role: 'SYSTEM' } } = {}) {
+  let effects = null;
+  let changed = false;
+
+  const refund = await prisma.$transaction(async (tx) => {
+    const current = await tx.refund.findUnique({ where: { id: refundId } });
+    if (!current) throw refundError('refund_not_found');
+
+    const extra = {};
+    if (stripeRefundId && !current.stripeRefundId) extra.stripeRefundId = stripeRefundId;
+    if (failureReason) extra.failureReason = failureReason;
+
+    const terminal = current.status === 'FAILED' || current.status === 'CANCELED';
+    const reversal = current.status === 'SUCCEEDED' && (status === 'FAILED' || status === 'CANCELED');
+    if (current.status === status || terminal || (current.status === 'SUCCEEDED' && !reversal) || status === 'PENDING') {
+      return Object.keys(extra).length ? tx.refund.update({ where: { id: current.id }, data: extra }) : current;
+    }
+
+    changed = true;
+    const payment = await lockPayment(tx, current.paymentId);
+
+    if (status === 'SUCCEEDED') {
+      const adjustments = await reducePayouts(tx, payment, current.amountCents);
+      const refundedCents = payment.refundedCents + current.amountCents;
+      const { payment: updatedPayment } = await transitionPayment({
+        tx,
+        paymentId: payment.id,
+        to: refundedCents >= payment.amountCents ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+        actor,
+        reason: current.reason,
+        metadata: { refundId: current.id, amountCents: current.amountCents },
+        data: { refundedCents }
+      });
+      await postRefund(tx, current, payment, adjustments);
+      effects = { payment: updatedPayment, adjustments, reversed: false };
+      return tx.refund.update({ where: { id: current.id }, data: { ...extra, status, payoutAdjustments: adjustments } });
+    }
+
+    if (reversal) {
+      await restorePayouts(tx, current.payoutAdjustments);
+      const refundedCents = Math.max(0, payment.refundedCents - current.amountCents);
+      const { payment: updatedPayment } = await transitionPayment({
+        tx,
+        paymentId: payment.id,
+        to: refundedCents > 0 ? 'PARTIALLY_REFUNDED' : payment.providerReleasedAt ? 'RELEASED' : 'HELD',
+        actor,
+        reason: 'Refund reversed',
+        metadata: { refundId: current.id, amountCents: current.amountCents },
+        data: { refundedCents }
+      });
+      await postRefundReversal(tx, current);
+      effects = { payment: updatedPayment, adjustments: current.payoutAdjustments || [], reversed: true };
+    }
+
+    // PENDING -> FAILED/CANCELED just releases the reserved amount.
+    return tx.refund.update({ where: { id: current.id }, data: { ...extra, status } });
+  });
+
+  if (!changed) return { refund, changed: false };
+
+  await auditLog({
+    actorId: null,
+    entityType: 'Refund',
+    entityId: refund.id,
+    action: `refund.${status.toLowerCase()}`,
+    metadata: { paymentId: refund.paymentId, amountCents: refund.amountCents, stripeRefundId: refund.stripeRefundId, reversed: !!effects?.reversed }
+  });
+  if (effects) await notifyRefundOutcome(refund, effects.payment, effects.adjustments, { reversed: effects.reversed });
+
+  return { refund, changed: true };
+}
+
+/**
+ * Refunds `amountCents` of a payment (the whole remaining amount if omitted).
+ * `idempotencyKey` (from the request's Idempotency-Key) is forwarded to Stripe.
+ * Throws coded errors: payment_not_found, bad_status, refund_exceeds_remaining, stripe_refund_failed.
+ * Returns { refund, payment }.
+ */
+export async function createRefund({ paymentId, amountCents = null, reason = null, actorId = null, idempotencyKey = null }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw refundError('payment_not_found');
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) throw refundError('bad_status');
+  const actor = { id: actorId, role: 'ADMIN' };
+
+  const refund = await prisma.$transaction(async (tx) => {
+    const locked = await lockPayment(tx, payment.id);
+    const remaining = await remainingRefundable(tx, locked);
+    const amount = amountCents ?? remaining;
+    if (amount <= 0 || amount > remaining) {
+      throw refundError('refund_exceeds_remaining', `Refundable amount is ${formatMoney(Math.max(0, remaining), locked.currency)}.`);
+    }
+    return tx.refund.create({
+      data: { paymentId: locked.id, amountCents: amount, currency: locked.currency, reason, createdById: actorId }
+    });
+  });
+
+  await auditLog({
+    actorId,
+    entityType: 'Refund',
+    entityId: refund.id,
+    action: 'refund.requested',
+    metadata: { paymentId: payment.id, amountCents: refund.amountCents, reason, mode: config.paymentsMode }
+  });
+
+  // If Stripe mode and we have a PaymentIntent, issue a real refund; the webhook confirms it.
+  if (config.paymentsMode === 'STRIPE' && payment.stripePaymentIntentId && stripe) {
+    let sr;
+    try {
+      sr = await stripe.refunds.create(
+        {
+          payment_intent: payment.stripePaymentIntentId,
+          amount: refund.amountCents,
+          reason: 'requested_by_customer',
+          metadata: { paymentId: payment.id, refundId: refund.id }
+        },
+        { idempotencyKey: idempotencyKey || `refund_${refund.id}` }
+      );
+    } catch (e) {
+      await applyRefundStatus(refund.id, 'FAILED', { failureReason: e.message, actor });
+      throw refundError('stripe_refund_failed', e.message);
+    }
+    await applyRefundStatus(refund.id, STRIPE_REFUND_STATUS[sr.status] || 'PENDING', {
+      stripeRefundId: sr.id,
+      failureReason: sr.failure_reason,
+      actor
+    });
+  } else {
+    await applyRefundStatus(refund.id, 'SUCCEEDED', { actor });
+  }
+
+  return {
+    refund: await prisma.refund.findUnique({ where: { id: refund.id } }),
+    payment: await prisma.payment.findUnique({ where: { id: payment.id } })
+  };
+}
+
+/**
+ * Mirrors a Stripe refund object into the ledger. Refunds started outside the API
+ * (Stripe dashboard) get a Refund row on first sight, capped like a chargeback at what is
+ * still refundable. Returns the local refund or null.
+ */
+export async function syncStripeRefund(sr, { paymentId: paymentIdHint } = {}) {
+  let local = await prisma.refund.findUnique({ where: { stripeRefundId: sr.id } });
+  // Our own refund whose webhook beat the API response that stores stripeRefundId.
+  if (!local && sr.metadata?.refundId) local = await prisma.refund.findUnique({ where: { id: sr.metadata.refundId } });
+
+  if (!local) {
+    const paymentId = sr.metadata?.paymentId || paymentIdHint;
+    const payment = paymentId
+      ? await prisma.payment.findUnique({ where: { id: paymentId } })
+      : sr.payment_intent
+        ? await prisma.payment.findFirst({ where: { stripePaymentIntentId: String(sr.payment_intent) } })
+        : null;
+    if (!payment) return null;
+
+    // charge.refunded and refund.created arrive together for the same refund: under the
+    // payment lock the second one finds the row the first created.
+    local = await prisma.$transaction(async (tx) => {
+      const locked = await lockPayment(tx, payment.id);
+      const known = await tx.refund.findUnique({ where: { stripeRefundId: sr.id } });
+      if (known) return known;
+
+      const amount = Math.min(sr.amount, await remainingRefundable(tx, locked));
+      if (amount <= 0) return null;
+      return tx.refund.upsert({
+        where: { stripeRefundId: sr.id },
+        create: {
+          paymentId: locked.id,
+          amountCents: amount,
+          currency: String(sr.currency || locked.currency).toUpperCase(),
+          reason: sr.reason || 'Refunded in Stripe',
+          stripeRefundId: sr.id
+        },
+        update: {}
+      });
+    });
+    if (!local) return null;
+  }
+
+  const { refund } = await applyRefundStatus(local.id, STRIPE_REFUND_STATUS[sr.status] || 'PENDING', {
+    stripeRefundId: sr.id,
+    failureReason: sr.failure_reason,
+    actor: { role: 'STRIPE' }
+  });
+  return refund;
+}
+
+/**
+ * Books a lost Stripe chargeback as a refund (Stripe already took the money back), capped
+ * at what is still refundable, so payouts, payment status and the ledger follow as for a refund.
+ * Returns the refund, or null when nothing was left to take.
+ */
+export async function recordChargebackLoss({ paymentId, amountCents, stripeDisputeId }) {
+  const refund = await prisma.$transaction(async (tx) => {
+    const locked = await lockPayment(tx, paymentId);
+    const amount = Math.min(amountCents, await remainingRefundable(tx, locked));
+    if (amount <= 0) return null;
+    return tx.refund.create({
+      data: { paymentId: locked.id, amountCents: amount, currency: locked.currency, reason: `Chargeback lost (${stripeDisputeId})` }
+    });
+  });
+  if (!refund) return null;
+
+  const { refund: applied } = await applyRefundStatus(refund.id, 'SUCCEEDED', { actor: { role: 'STRIPE' } });
+  return applied;
+}
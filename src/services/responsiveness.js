@@ -0,0 +1,53 @@
+import { prisma } from '../prisma.js';
+
+/**
+ * Provider responsiveness: how fast providers answer quotation requests.
+ * Response time = first transition to RESPONDED minus quotation creation.
+ */
+
+const WINDOW_DAYS = 90;
+
+// Returns Map<providerId, { avgResponseHours, responded, slaBreaches }>.
+export async function getProviderResponsiveness(providerIds) {
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const result = new Map(providerIds.map((id) => [id, { avgResponseHours: null, responded: 0, slaBreaches: 0 }]));
+  if (!providerIds.length) return result;
+
+  const responses = await prisma.quotationStatusHistory.findMany({
+    where: {
+      toStatus: 'RESPONDED',
+      createdAt: { gte: since },
+      quotation: { providerId: { in: providerIds } }
+    },
+    select: { quotationId: true, createdAt: true, quotation: { select: { providerId: true, createdAt: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const firstByQuotation = new Map();
+  for (const r of responses) {
+    if (!firstByQuotation.has(r.quotationId)) firstByQuotation.set(r.quotationId, r);
+  }
+
+  const totals = new Map();
+  for (const r of firstByQuotation.values()) {
+    const hours = (r.createdAt - r.quotation.createdAt) / (60 * 60 * 1000);
+    const t = totals.get(r.quotation.providerId) || { sum: 0, n: 0 };
+    t.sum += hours;
+    t.n += 1;
+    totals.set(r.quotation.providerId, t);
+  }
+  for (const [providerId, t] of totals) {
+    const entry = result.get(providerId);
+    entry.avgResponseHours = Math.round((t.sum / t.n) * 10) / 10;
+    entry.responded = t.n;
+  }
+
+  const breaches = await prisma.quotationSlaBreach.groupBy({
+    by: ['providerId'],
+    where: { providerId: { in: providerIds }, breachedAt: { gte: since } },
+    _count: { _all: true }
+  });
+  for (const b of breaches) result.get(b.providerId).slaBreaches = b._count._all;
+
+  return result;
+}
@@ -0,0 +1,112 @@
+import { prisma } from '../prisma.js';
+import { convertMinorAmount } from './fx.js';
+import { isOfferExpired } from './offers.js';
+
+/**
+ * RFQ (request for quote) helpers.
+ *
+ * An RFQ fans out into one QuotationRequest per provider. Offers received on
+ * those quotations are normalised into a single currency for comparison.
+ */
+
+// Auto-match: one active procedure per verified provider in the category (optionally country).
+export async function matchProceduresForRfq({ category, countryCode, limit = 5 }) {
+  const procedures = await prisma.procedure.findMany({
+    where: {
+      active: true,
+      category,
+      provider: { verified: true, ...(countryCode ? { countryCode } : {}) }
+    },
+    orderBy: { priceMinUSD: 'asc' },
+    take: 200
+  });
+
+  const byProvider = new Map();
+  for (const p of procedures) {
+    if (!byProvider.has(p.providerId)) byProvider.set(p.providerId, p);
+  }
+  return [...byProvider.values()].slice(0, limit);
+}
+
+const SORTERS = {
+  price: (a, b) => nullsLast(a.converted?.amountCents, b.converted?.amountCents),
+  response: (a, b) => nullsLast(a.responseHours, b.responseHours),
+  verified: (a, b) =>
+    Number(b.provider.verified) - Number(a.provider.verified) ||
+    nullsLast(a.converted?.amountCents, b.converted?.amountCents)
+};
+
+function nullsLast(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a - b;
+}
+
+export const RFQ_SORTS = Object.keys(SORTERS);
+
+/**
+ * Builds the side-by-side comparison for an RFQ.
+ * Returns { currency, offers: [...ranked], pending: [...quotations without offers] }.
+ */
+export async function compareRfqOffers({ rfqId, currency, sort = 'price' }) {
+  const quotations = await prisma.quotationRequest.findMany({
+    where: { rfqId },
+    include: {
+      provider: true,
+      procedure: true,
+      offers: { where: { status: { in: ['ACTIVE', 'ACCEPTED'] } }, include: { lineItems: true } }
+    }
+  });
+
+  const target = currency.toUpperCase();
+  const now = new Date();
+  const offers = [];
+  const pending = [];
+
+  for (const q of quotations) {
+    const provider = {
+      id: q.provider.id,
+      displayName: q.provider.displayName,
+      verified: q.provider.verified,
+      city: q.provider.city,
+      countryCode: q.provider.countryCode
+    };
+    const live = q.offers.filter((o) => o.status === 'ACCEPTED' || !isOfferExpired(o, now));
+    if (!live.length) {
+      pending.push({ quotationId: q.id, status: q.status, provider, slaDueAt: q.slaDueAt });
+      continue;
+    }
+
+    for (const o of live) {
+      let converted = null;
+      let fxError = null;
+      try {
+        const fx = await convertMinorAmount({ amountMinor: o.totalCents, from: o.currency, to: target });
+        converted = { amountCents: fx.amountMinor, currency: target, rate: fx.rate, asOf: fx.asOf || null };
+      } catch (e) {
+        fxError = e.code || 'fx_error';
+      }
+
+      offers.push({
+        quotationId: q.id,
+        quotationStatus: q.status,
+        offerId: o.id,
+        offerStatus: o.status,
+        procedure: { id: q.procedure.id, name: q.procedure.name },
+        provider,
+        original: { amountCents: o.totalCents, currency: o.currency },
+        converted,
+        fxError,
+        validUntil: o.validUntil,
+        responseHours: Math.round(((o.createdAt - q.createdAt) / (60 * 60 * 1000)) * 10) / 10,
+        lineItems: o.lineItems,
+        inclusions: o.inclusions,
+        exclusions: o.exclusions
+      });
+    }
+  }
+
+  offers.sort(SORTERS[sort] || SORTERS.price);
+  return { currency: target, sort, offers: offers.map((o, i) => ({ rank: i + 1, ...o })), pending };
+}
@@ -0,0 +1,183 @@
+import { prisma } from '../prisma.js';
+import { config } from '../config.js';
+import { auditLog } from './audit.js';
+import { transitionQuotation } from './quotationStatus.js';
+
+/**
+ * Quotation SLA enforcement (run periodically, see cron in index.js):
+ * - warn the provider once when slaDueAt is within SLA_WARN_BEFORE_HOURS
+ * - record a breach once slaDueAt has passed without a response
+ * - expire the request after SLA_EXPIRE_GRACE_HOURS more and point the
+ *   patient to alternative verified providers for the same category
+ *
+ * Only OPEN / IN_REVIEW requests count as "untouched".
+ */
+
+const PENDING_STATUSES = ['OPEN', 'IN_REVIEW'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Verified providers with an active procedure in the same category, excluding the current one.
+export async function findAlternativeProviders({ category, excludeProviderId, take = 3 }) {
+  const procedures = await prisma.procedure.findMany({
+    where: {
+      active: true,
+      category,
+      providerId: { not: excludeProviderId },
+      provider: { verified: true }
+    },
+    include: { provider: true },
+    take: 50
+  });
+
+  const byProvider = new Map();
+  for (const p of procedures) {
+    if (!byProvider.has(p.providerId)) {
+      byProvider.set(p.providerId, {
+        providerId: p.providerId,
+        displayName: p.provider.displayName,
+        city: p.provider.city,
+        countryCode: p.provider.countryCode,
+        procedureId: p.id,
+        procedureName: p.name
+      });
+    }
+  }
+  return [...byProvider.values()].slice(0, take);
+}
+
+async function warnApproaching(now, limit) {
+  const due = await prisma.quotationRequest.findMany({
+    where: {
+      status: { in: PENDING_STATUSES },
+      slaWarnedAt: null,
+      slaDueAt: { gt: now, lte: new Date(now.getTime() + config.slaWarnBeforeHours * HOUR_MS) }
+    },
+    include: { provider: true, procedure: true },
+    take: limit
+  });
+
+  for (const q of due) {
+    const hoursLeft = Math.max(1, Math.round((q.slaDueAt - now) / HOUR_MS));
+    await prisma.quotationRequest.update({ where: { id: q.id }, data: { slaWarnedAt: now } });
+    await prisma.notification.create({
+      data: {
+        userId: q.provider.userId,
+        type: 'quotation.sla.warning',
+        title: 'Quotation SLA approaching',
+        body: `Please respond to the ${q.procedure.name} request within ~${hoursLeft}h to meet the SLA.`
+      }
+    });
+  }
+  return due.length;
+}
+
+async function recordBreaches(now, limit) {
+  const due = await prisma.quotationRequest.findMany({
+    where: { status: { in: PENDING_STATUSES }, slaBreachedAt: null, slaDueAt: { lte: now } },
+    include: { provider: true },
+    take: limit
+  });
+
+  for (const q of due) {
+    await prisma.$transaction([
+      prisma.quotationRequest.update({ where: { id: q.id }, data: { slaBreachedAt: now } }),
+      prisma.quotationSlaBreach.create({
+        data: { quotationId: q.id, providerId: q.providerId, slaDueAt: q.slaDueAt, breachedAt: now }
+      })
+    ]);
+    await auditLog({
+      actorId: null,
+      entityType: 'QuotationRequest',
+      entityId: q.id,
+      action: 'quotation.sla.breached',
+      metadata: { providerId: q.providerId, slaDueAt: q.slaDueAt }
+    });
+    await prisma.notification.create({
+      data: {
+        userId: q.provider.userId,
+        type: 'quotation.sla.breached',
+        title: 'Quotation SLA missed',
+        body: `The response deadline for quotation ${q.id} has passed. It will expire in ${config.slaExpireGraceHours}h.`
+      }
+    });
+  }
+  return due.length;
+}
+
+async function expireOverdue(now, limit) {
+  const cutoff = new Date(now.getTime() - config.slaExpireGraceHours * HOUR_MS);
+  const due = await prisma.quotationRequest.findMany({
+    where: { status: { in: PENDING_STATUSES }, slaDueAt: { lte: cutoff } },
+    include: { procedure: true },
+    take: limit
+  });
+
+  let expired = 0;
+  for (const q of due) {
+    try {
+      await transitionQuotation({
+        quotationId: q.id,
+        to: 'EXPIRED',
+        actor: { id: null, role: 'SYSTEM' },
+        reason: 'sla_expired'
+      });
+    } catch (e) {
+      // Status changed meanwhile (e.g. provider just responded); leave it alone.
+      if (e.code === 'status_conflict' || e.code === 'illegal_transition') continue;
+      throw e;
+    }
+    expired++;
+
+    const alternatives = await findAlternativeProviders({
+      category: q.procedure.category,
+      excludeProviderId: q.providerId
+    });
+    const suggestion = alternatives.length
+      ? ` You could ask: ${alternatives.map((a) => `${a.displayName} (${a.city})`).join(', ')}.`
+      : '';
+
+    await prisma.notification.create({
+      data: {
+        userId: q.userId,
+        type: 'quotation.expired',
+        title: 'Quotation request expired',
+        body: `The provider did not respond to your ${q.procedure.name} request in time.${suggestion}`
+      }
+    });
+  }
+  return expired;
+}
+
+export async function runQuotationSla({ limit = 100 } = {}) {
+  const now = new Date();
+  const warned = await warnApproaching(now, limit);
+  const breached = await recordBreaches(now, limit);
+  const expired = await expireOverdue(now, limit);
+  return { warned, breached, expired };
+}
+
+// Breach counts per provider (optionally since a date), most breaches first.
+export async function getSlaBreachCounts({ since } = {}) {
+  const groups = await prisma.quotationSlaBreach.groupBy({
+    by: ['providerId'],
+    where: since ? { breachedAt: { gte: since } } : {},
+    _count: { _all: true },
+    _max: { breachedAt: true }
+  });
+
+  const providers = await prisma.providerProfile.findMany({
+    where: { id: { in: groups.map((g) => g.providerId) } },
+    select: { id: true, displayName: true, verified: true }
+  });
+  const byId = new Map(providers.map((p) => [p.id, p]));
+
+  return groups
+    .map((g) => ({
+      providerId: g.providerId,
+      displayName: byId.get(g.providerId)?.displayName || null,
+      verified: byId.get(g.providerId)?.verified ?? null,
+      breaches: g._count._all,
+      lastBreachAt: g._max.breachedAt
+    }))
+    .sort((a, b) => b.breaches - a.breaches);
+}
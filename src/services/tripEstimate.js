@@ -0,0 +1,151 @@
+import { prisma } from '../prisma.js';
+import { convertAmount } from './fx.js';
+import { roundMajor } from './money.js';
+import { computePriceConfidence, combineConfidence } from './confidence.js';
+import { getPriceSignals } from './priceSignals.js';
+import { convertProcedurePrice } from './procedurePrices.js';
+
+/**
+ * Whole-trip cost estimate: procedure + hotel + airport transfers + tours.
+ *
+ * Non-clinic providers list their services as Procedure entries; we convert their
+ * native-currency ranges to USD and read them as:
+ * - HOTEL: per room per night (one room sleeps two people)
+ * - TRANSPORT: per transfer (vehicle); a trip needs two (arrival + departure)
+ * - TOUR: per person per tour
+ *
+ * For each service type in the city we take the cheapest listed minimum and
+ * the median listed maximum, so one luxury listing does not blow up the range.
+ */
+
+const TRANSFERS_PER_TRIP = 2;
+
+// A procedure's range in USD at current rates, falling back to the stored USD equivalent.
+async function usdRange(procedure, rates) {
+  try {
+    const { min, max } = await convertProcedurePrice(procedure, 'USD', rates);
+    return { min, max };
+  } catch (e) {
+    if (e.code !== 'fx_rate_missing') throw e;
+    return { min: procedure.priceMinUSD, max: procedure.priceMaxUSD };
+  }
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+async function cityOffers(type, city) {
+  return prisma.procedure.findMany({
+    where: {
+      active: true,
+      provider: { type, verified: true, city: { equals: city, mode: 'insensitive' } }
+    },
+    include: { provider: { select: { id: true, displayName: true } } },
+    take: 200
+  });
+}
+
+// Prices one service type in the city; quantity multiplies the unit range.
+async function estimateService({ key, type, city, quantity, unit, rates }) {
+  if (quantity <= 0) return null;
+  const listings = await cityOffers(type, city);
+  if (!listings.length) {
+    return {
+      key,
+      type,
+      quantity,
+      unit,
+      available: false,
+      minUSD: 0,
+      maxUSD: 0,
+      providers: 0,
+      confidence: computePriceConfidence({ source: 'ESTIMATE' }),
+      warning: `No verified ${type.toLowerCase()} providers listed in ${city}.`
+    };
+  }
+
+  const signals = await getPriceSignals(listings);
+  const freshest = Math.min(...listings.map((l) => signals.get(l.id).lastUpdatedDays));
+  const samples = listings.reduce((sum, l) => sum + signals.get(l.id).sampleSize, 0);
+
+  const usd = await Promise.all(listings.map((l) => usdRange(l, rates)));
+  const unitMin = Math.min(...usd.map((r) => r.min));
+  const unitMax = Math.max(unitMin, median(usd.map((r) => r.max)));
+  return {
+    key,
+    type,
+    quantity,
+    unit,
+    available: true,
+    unitMinUSD: unitMin,
+    unitMaxUSD: unitMax,
+    minUSD: unitMin * quantity,
+    maxUSD: unitMax * quantity,
+    providers: new Set(listings.map((l) => l.providerId)).size,
+    confidence: computePriceConfidence({ source: 'PROVIDER', lastUpdatedDays: freshest, sampleSize: samples })
+  };
+}
+
+/**
+ * Returns { currency, components: [...], total: { min, max }, confidence, fx }.
+ * Throws coded errors: procedure_not_found, fx_rate_missing.
+ */
+export async function estimateTrip({ procedureId, city, nights, companions = 0, tours = 0, currency = 'USD' }) {
+  const procedure = await prisma.procedure.findUnique({ where: { id: procedureId }, include: { provider: true } });
+  if (!procedure) {
+    const e = new Error('procedure_not_found');
+    e.code = 'procedure_not_found';
+    throw e;
+  }
+  const destination = city || procedure.provider.city;
+  const travellers = 1 + companions;
+
+  const rates = new Map();
+  const procSignals = (await getPriceSignals([procedure])).get(procedure.id);
+  const procUsd = await usdRange(procedure, rates);
+  const components = [
+    {
+      key: 'procedure',
+      type: procedure.provider.type,
+      name: procedure.name,
+      providerId: procedure.providerId,
+      quantity: 1,
+      unit: 'procedure',
+      available: true,
+      minUSD: procUsd.min,
+      maxUSD: procUsd.max,
+      confidence: computePriceConfidence({ source: 'PROVIDER', ...procSignals })
+    }
+  ];
+
+  const extras = await Promise.all([
+    estimateService({ key: 'hotel', type: 'HOTEL', city: destination, quantity: nights * Math.ceil(travellers / 2), unit: 'room_night', rates }),
+    estimateService({ key: 'transfers', type: 'TRANSPORT', city: destination, quantity: TRANSFERS_PER_TRIP, unit: 'transfer', rates }),
+    estimateService({ key: 'tours', type: 'TOUR', city: destination, quantity: tours * travellers, unit: 'person_tour', rates })
+  ]);
+  components.push(...extras.filter(Boolean));
+
+  const target = currency.toUpperCase();
+  const fx = target === 'USD' ? { rate: 1, asOf: null } : await convertAmount({ amount: 1, from: 'USD', to: target });
+  const conv = (usd) => roundMajor(usd * fx.rate, target);
+
+  const minUSD = components.reduce((sum, c) => sum + c.minUSD, 0);
+  const maxUSD = components.reduce((sum, c) => sum + c.maxUSD, 0);
+
+  return {
+    procedureId: procedure.id,
+    city: destination,
+    nights,
+    travellers,
+    currency: target,
+    components: components.map((c) => ({ ...c, min: conv(c.minUSD), max: conv(c.maxUSD) })),
+    total: { min: conv(minUSD), max: conv(maxUSD), currency: target },
+    // Weighted by each component's share of the upper bound; missing components pull confidence down.
+    confidence: combineConfidence(components.map((c) => ({ score: c.confidence.score, weight: c.available ? c.maxUSD : maxUSD / components.length }))),
+    fx: target === 'USD' ? null : { rate: fx.rate, asOf: fx.asOf || null }
+  };
+}
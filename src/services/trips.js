@@ -0,0 +1,88 @@
+import { prisma } from '../prisma.js';
+import { convertMinorAmount } from './fx.js';
+import { getAcceptedOffer } from './offers.js';
+
+/**
+ * Trip packages bundle accepted quotations from several providers (clinic,
+ * hotel, transport, tour) into one priced trip paid with a single Payment.
+ * Each component keeps its provider and its share of the package total so
+ * held funds can be split into one Payout per provider on release.
+ */
+
+function tripError(code, details) {
+  const e = new Error(code);
+  e.code = code;
+  e.details = details;
+  return e;
+}
+
+// Takes row locks on the quotations for the rest of the transaction.
+async function lockQuotations(tx, quotationIds) {
+  await tx.quotationRequest.updateMany({ where: { id: { in: quotationIds } }, data: { updatedAt: new Date() } });
+}
+
+/**
+ * Validates the requested components and prices them in `currency`.
+ * Pass the transaction that creates the trip as `db`: the quotations are row-locked
+ * first, so concurrent requests cannot bundle the same quotation into two trips.
+ * Throws coded errors (quotation_not_found, forbidden, quotation_not_accepted,
+ * quotation_in_trip, quotation_already_paid, quotation_has_payment_plan, clinic_component_required, bad_dates, fx_rate_missing).
+ */
+export async function buildTripComponents({ userId, currency, components, db = prisma }) {
+  const target = currency.toUpperCase();
+  const built = [];
+
+  await lockQuotations(db, components.map((c) => c.quotationId));
+  for (const c of components) {
+    const q = await db.quotationRequest.findUnique({
+      where: { id: c.quotationId },
+      include: {
+        provider: true,
+        tripComponents: { include: { package: true } },
+        payments: true,
+        paymentPlans: true
+      }
+    });
+    if (!q) throw tripError('quotation_not_found', { quotationId: c.quotationId });
+    if (q.userId !== userId) throw tripError('forbidden', { quotationId: q.id });
+    if (q.status !== 'ACCEPTED') throw tripError('quotation_not_accepted', { quotationId: q.id });
+    if (q.tripComponents.some((tc) => tc.package.status === 'ACTIVE')) {
+      throw tripError('quotation_in_trip', { quotationId: q.id });
+    }
+    if (q.payments.some((p) => p.status !== 'FAILED')) throw tripError('quotation_already_paid', { quotationId: q.id });
+    if (q.paymentPlans.some((p) => p.status === 'ACTIVE')) throw tripError('quotation_has_payment_plan', { quotationId: q.id });
+
+    const startDate = new Date(c.startDate);
+    const endDate = new Date(c.endDate);
+    if (endDate < startDate) throw tripError('bad_dates', { quotationId: q.id });
+
+    const offer = await getAcceptedOffer(q.id);
+    const fx = await convertMinorAmount({ amountMinor: offer.totalCents, from: offer.currency, to: target });
+
+    built.push({
+      quotationId: q.id,
+      offerId: offer.id,
+      providerId: q.providerId,
+      type: q.provider.type,
+      description: c.description || null,
+      startDate,
+      endDate,
+      amountCents: fx.amountMinor,
+      originalAmountCents: offer.totalCents,
+      originalCurrency: offer.currency,
+      fxRate: fx.rate
+    });
+  }
+
+  if (!built.some((c) => c.type === 'CLINIC')) throw tripError('clinic_component_required');
+  return built;
+}
+
+// Sums component amounts per provider; used to split a trip payment into payouts.
+export function splitByProvider(components) {
+  const byProvider = new Map();
+  for (const c of components) {
+    byProvider.set(c.providerId, (byProvider.get(c.providerId) || 0) + c.amountCents);
+  }
+  return [...byProvider.entries()].map(([providerId, amountCents]) => ({ providerId, amountCents }));
+}